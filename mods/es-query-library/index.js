@@ -1,58 +1,565 @@
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const util = require('util');
 const path = require('path');
-const execAsync = util.promisify(exec);
-const {EagleApi} = require('@eagle-cooler/utils');
+const fs = require('fs');
+const os = require('os');
+const { pathToFileURL } = require('url');
+const execFileAsync = util.promisify(execFile);
+const {
+    clearLibraryMetadataCache,
+    createLibrary,
+    escapeHtml,
+    getLibraryMetadata,
+    getLibrarySize,
+    getLibraryStamp,
+    mapWithConcurrency,
+    observeLibraryMetadata,
+    promptCreateLibrary: promptCreateLibraryDialog,
+    switchHistory,
+    switchHistoryStep,
+    switchLibrary
+} = require('../../shared/eagle-library');
+const { fuzzyScore, getDrive, matchesMetadataFilter, parseLibraryQuery } = require('./query');
+
+// Optional user overrides for the filesystem crawler, e.g.
+// { "roots": ["/Volumes/Design"], "maxDepth": 8, "ignore": ["**/Archive/**"], "followSymlinks": true,
+//   "refreshTimeout": 30 }
+const CRAWLER_CONFIG_FILE = path.join(os.homedir(), '.eaglecooler', 'es-query-library', 'crawler.json');
+const INDEX_FILE = path.join(os.homedir(), '.eaglecooler', 'es-query-library', 'cache', 'index.json');
+const INDEX_REFRESH_INTERVAL = 30 * 60 * 1000; // 30 minutes
+const QUERY_TIMEOUT = 2 * 60 * 1000; // 2 minutes
+// A full crawl of large or network volumes takes far longer than a single query
+const CRAWL_TIMEOUT_MINUTES = 15;
+// Libraries whose details are read at once while filtering or sorting
+const METADATA_CONCURRENCY = 4;
+
+function getDefaultCrawlerOptions() {
+    const home = os.homedir();
+    const roots = [home];
+    if (process.platform === 'darwin') {
+        roots.push('/Volumes');
+    } else if (process.platform === 'linux') {
+        roots.push('/mnt', '/media');
+    }
+
+    return {
+        roots,
+        maxDepth: 6,
+        ignore: [
+            '**/node_modules/**',
+            '**/.git/**',
+            '**/.Trash/**',
+            '**/.cache/**',
+            '**/Library/Caches/**',
+            '**/AppData/**',
+            '**/$RECYCLE.BIN/**'
+        ],
+        followSymlinks: false,
+        refreshTimeout: CRAWL_TIMEOUT_MINUTES
+    };
+}
+
+// Convert a glob ("**" for any depth, "*" and "?" within a segment) into a RegExp
+// tested against forward-slash normalized paths.
+function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*') {
+            if (glob[i + 1] === '*') {
+                // "**/" also matches zero directories
+                if (glob[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i += 1;
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+function toGlobPath(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+// `found` carries whatever a crawl had discovered before it was stopped
+function createAbortError(found) {
+    const error = new Error('Query was cancelled');
+    error.name = 'AbortError';
+    error.found = found;
+    return error;
+}
+
+class EverythingBackend {
+    constructor() {
+        this.name = 'everything';
+        // Use the es.exe from the same directory as index.js
+        this.esPath = path.join(__dirname, 'es.exe');
+        this.refreshTimeout = QUERY_TIMEOUT;
+    }
+
+    isAvailable() {
+        return process.platform === 'win32' && fs.existsSync(this.esPath);
+    }
+
+    async query(query, signal) {
+        // Pass the query as its own argument so no shell ever parses user input
+        const args = ['/ad', '-p', `**${query}**.library`];
+
+        let stdout, stderr;
+        try {
+            ({ stdout, stderr } = await execFileAsync(this.esPath, args, {
+                signal,
+                windowsHide: true,
+                maxBuffer: 64 * 1024 * 1024
+            }));
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            const detail = (error.stderr || error.stdout || '').trim() || error.message;
+            throw new Error(`Everything search failed (exit code ${error.code}): ${detail}`);
+        }
+
+        if (stderr && stderr.trim()) {
+            throw new Error(`Everything search failed: ${stderr.trim()}`);
+        }
+
+        // Split the output into lines and filter empty lines
+        return stdout.split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0);
+    }
+}
+
+// Check crawler.json field by field. Invalid fields fall back to their defaults,
+// and each one is reported so the user can see why their setting was ignored.
+function validateCrawlerOptions(config) {
+    const options = getDefaultCrawlerOptions();
+    const warnings = [];
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        warnings.push('crawler.json must contain a JSON object; using default settings');
+        return { options, warnings };
+    }
+
+    const isPathList = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item);
+    const checks = {
+        roots: value => isPathList(value) && value.length > 0,
+        ignore: isPathList,
+        maxDepth: value => Number.isInteger(value) && value >= 0,
+        followSymlinks: value => typeof value === 'boolean',
+        refreshTimeout: value => typeof value === 'number' && value > 0
+    };
+    const expected = {
+        roots: 'a non-empty list of paths',
+        ignore: 'a list of glob patterns',
+        maxDepth: 'a whole number of 0 or more',
+        followSymlinks: 'true or false',
+        refreshTimeout: 'a number of minutes greater than 0'
+    };
+
+    for (const [key, value] of Object.entries(config)) {
+        if (!checks[key]) {
+            warnings.push(`crawler.json: unknown setting "${key}" is ignored`);
+        } else if (!checks[key](value)) {
+            warnings.push(`crawler.json: "${key}" must be ${expected[key]}; using the default`);
+        } else {
+            options[key] = value;
+        }
+    }
+    return { options, warnings };
+}
+
+class FileSystemCrawlerBackend {
+    constructor(config = {}) {
+        this.name = 'crawler';
+        const { options, warnings } = validateCrawlerOptions(config);
+        this.options = options;
+        this.warnings = warnings;
+        this.refreshTimeout = this.options.refreshTimeout * 60 * 1000;
+        this.ignorePatterns = this.options.ignore.map(globToRegExp);
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    isIgnored(dirPath) {
+        // Test with a trailing slash so "dir/**" patterns also match the directory itself
+        const globPath = toGlobPath(dirPath) + '/';
+        return this.ignorePatterns.some(pattern => pattern.test(globPath));
+    }
+
+    async crawl(signal) {
+        const found = [];
+        const visited = new Set();
+        const queue = this.options.roots.map(root => ({ dir: path.resolve(root), depth: 0 }));
+
+        while (queue.length > 0) {
+            if (signal && signal.aborted) throw createAbortError(found);
+            const { dir, depth } = queue.shift();
+
+            // Guard against symlink loops and overlapping roots
+            let realDir;
+            try {
+                realDir = await fs.promises.realpath(dir);
+            } catch {
+                continue;
+            }
+            if (visited.has(realDir)) continue;
+            visited.add(realDir);
+
+            let entries;
+            try {
+                entries = await fs.promises.readdir(dir, { withFileTypes: true });
+            } catch {
+                // Unreadable directories (permissions, unplugged volumes) are skipped
+                continue;
+            }
+
+            for (const entry of entries) {
+                const entryPath = path.join(dir, entry.name);
+                let isDirectory = entry.isDirectory();
+
+                if (entry.isSymbolicLink()) {
+                    if (!this.options.followSymlinks) continue;
+                    try {
+                        isDirectory = (await fs.promises.stat(entryPath)).isDirectory();
+                    } catch {
+                        continue;
+                    }
+                }
+
+                if (!isDirectory || this.isIgnored(entryPath)) continue;
+
+                if (entry.name.endsWith('.library')) {
+                    // Libraries are leaves: their internals never contain other libraries
+                    found.push(entryPath);
+                } else if (depth < this.options.maxDepth) {
+                    queue.push({ dir: entryPath, depth: depth + 1 });
+                }
+            }
+        }
+
+        return found;
+    }
+
+    async query(query, signal) {
+        // Mirror Everything's "**query**.library" full path match
+        const needle = query.toLowerCase();
+        const matches = folders => folders.filter(folder => folder.toLowerCase().includes(needle));
+        try {
+            return matches(await this.crawl(signal));
+        } catch (error) {
+            if (error.found) error.found = matches(error.found);
+            throw error;
+        }
+    }
+}
+
+// On-disk index of every discovered library, so typing filters in memory
+// instead of re-running a full backend query per keystroke.
+class LibraryIndex {
+    constructor(indexFile = INDEX_FILE) {
+        this.indexFile = indexFile;
+        this.entries = [];
+        this.timestamp = 0;
+        // The last scan was stopped before it finished
+        this.incomplete = false;
+        this.refreshing = null;
+        this.sizesChanged = false;
+    }
+
+    async load() {
+        try {
+            const data = await fs.promises.readFile(this.indexFile, 'utf8');
+            const index = JSON.parse(data);
+            this.entries = index.entries || [];
+            this.timestamp = index.timestamp || 0;
+            this.incomplete = Boolean(index.incomplete);
+        } catch (error) {
+            // Index doesn't exist or is invalid, start empty
+            this.entries = [];
+            this.timestamp = 0;
+            this.incomplete = false;
+        }
+    }
+
+    async save() {
+        try {
+            await fs.promises.mkdir(path.dirname(this.indexFile), { recursive: true });
+            const indexData = {
+                entries: this.entries,
+                timestamp: this.timestamp,
+                incomplete: this.incomplete
+            };
+            await fs.promises.writeFile(this.indexFile, JSON.stringify(indexData, null, 2));
+        } catch (error) {
+            console.error('Failed to save library index:', error);
+        }
+    }
+
+    async add(libraryPath) {
+        const now = Date.now();
+        this.entries = this.entries.filter(entry => entry.path !== libraryPath);
+        this.entries.push({ path: libraryPath, firstSeen: now, lastSeen: now, missing: false });
+        await this.save();
+    }
+
+    isStale() {
+        return Date.now() - this.timestamp > INDEX_REFRESH_INTERVAL;
+    }
+
+    // Merge a fresh scan into the index: known paths are refreshed, new ones added,
+    // and paths absent from the scan are kept but marked missing. A partial scan
+    // didn't look everywhere, so it never marks anything missing.
+    merge(folders, { partial = false } = {}) {
+        const now = Date.now();
+        const found = new Set(folders);
+        const known = new Map(this.entries.map(entry => [entry.path, entry]));
+
+        for (const folder of folders) {
+            const entry = known.get(folder);
+            if (entry) {
+                entry.lastSeen = now;
+                entry.missing = false;
+                delete entry.missingSince;
+            } else {
+                known.set(folder, { path: folder, firstSeen: now, lastSeen: now, missing: false });
+            }
+        }
+
+        for (const entry of known.values()) {
+            if (!partial && !found.has(entry.path) && !entry.missing) {
+                entry.missing = true;
+                entry.missingSince = now;
+            }
+        }
+
+        this.entries = Array.from(known.values());
+        this.timestamp = now;
+        this.incomplete = partial;
+    }
+
+    // Total size of a library's items, kept on the entry (and saved with the index)
+    // so size filters and sorts don't wait for a measurement after a restart
+    async getSize(entry) {
+        const stamp = await getLibraryStamp(entry.path);
+        if (entry.size === undefined || entry.sizeStamp !== stamp) {
+            entry.size = await getLibrarySize(entry.path);
+            entry.sizeStamp = stamp;
+            this.sizesChanged = true;
+        }
+        return entry.size;
+    }
+
+    // Concurrent callers share the scan already in flight. A scan that times out or
+    // is cancelled still keeps the libraries it found before rejecting.
+    refresh(queryFolders) {
+        if (!this.refreshing) {
+            this.refreshing = (async () => {
+                try {
+                    const folders = await queryFolders('');
+                    this.merge(folders);
+                    await this.save();
+                    return this.entries;
+                } catch (error) {
+                    if (error.found) {
+                        this.merge(error.found, { partial: true });
+                        await this.save();
+                    }
+                    throw error;
+                } finally {
+                    this.refreshing = null;
+                }
+            })();
+        }
+        return this.refreshing;
+    }
+}
+
+// Returns the parsed config, or {} when there is none. A config that can't be read
+// is reported through `warnings` rather than silently replaced by defaults.
+async function loadCrawlerOptions() {
+    let data;
+    try {
+        data = await fs.promises.readFile(CRAWLER_CONFIG_FILE, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return { config: {}, warnings: [] };
+        return { config: {}, warnings: [`Cannot read crawler.json: ${error.message}`] };
+    }
+    try {
+        return { config: JSON.parse(data), warnings: [] };
+    } catch (error) {
+        return { config: {}, warnings: [`crawler.json is not valid JSON (${error.message}); using default settings`] };
+    }
+}
+
+async function applyLibraryQuery(index, query) {
+    const pathFilters = query.filters.filter(f => f.key === 'path' || f.key === 'drive');
+    const metadataFilters = query.filters.filter(f => !pathFilters.includes(f));
+    const sortField = query.sort && query.sort.field;
+    const needsMetadata = metadataFilters.length > 0 || ['modified', 'items', 'size'].includes(sortField);
+    const needsSize = metadataFilters.some(f => f.key === 'size') || sortField === 'size';
+
+    let results = [];
+    for (const entry of index.entries) {
+        const lowerPath = entry.path.toLowerCase();
+        const name = path.basename(lowerPath, '.library');
+
+        if (!pathFilters.every(f => f.key === 'path' ? lowerPath.includes(f.value) : getDrive(entry.path) === f.value.replace(/:$/, ''))) {
+            continue;
+        }
+
+        let score = 0;
+        if (query.terms.length > 0) {
+            const scores = query.terms.map(term => fuzzyScore(term, name) || (lowerPath.includes(term) ? 10 : 0));
+            if (scores.includes(0)) continue;
+            score = scores.reduce((a, b) => a + b, 0);
+        }
+
+        results.push({ entry, score, details: null });
+    }
+
+    if (needsMetadata) {
+        // Missing libraries have nothing on disk to measure
+        results = results.filter(result => !result.entry.missing);
+        index.sizesChanged = false;
+        await mapWithConcurrency(results, METADATA_CONCURRENCY, async result => {
+            result.details = { ...await getLibraryMetadata(result.entry.path) };
+            if (needsSize) {
+                result.details.size = await index.getSize(result.entry);
+            }
+        });
+        if (index.sizesChanged) {
+            await index.save();
+        }
+        results = results.filter(result => metadataFilters.every(f => matchesMetadataFilter(f, result.details)));
+    }
+
+    results.sort((a, b) => {
+        // Missing entries sink below the ones found in the last scan
+        if (a.entry.missing !== b.entry.missing) return a.entry.missing ? 1 : -1;
+        if (!query.sort) return b.score - a.score;
+
+        const { field, descending } = query.sort;
+        let order;
+        if (field === 'name') {
+            order = path.basename(a.entry.path).localeCompare(path.basename(b.entry.path));
+        } else if (field === 'path') {
+            order = a.entry.path.localeCompare(b.entry.path);
+        } else {
+            order = (a.details[field] || 0) - (b.details[field] || 0);
+        }
+        return descending ? -order : order;
+    });
+
+    return results.map(result => result.entry);
+}
 
 module.exports = {
     name: 'System Library Map',
     description: 'Query Eagle folders using wildcards',
 
-    async queryFolders(query) {
-        try {
-            // Use the es.exe from the same directory as index.js
-            const esPath = path.join(__dirname, 'es.exe');
-            // Construct the Eagle folder search command
-            const command = `"${esPath}" /ad -p "**${query}**.library"`;
-            
-            // Execute the command
-            const { stdout, stderr } = await execAsync(command);
-            
-            if (stderr) {
-                console.error('Error executing folder query:', stderr);
-                return [];
+    backend: null,
+    index: new LibraryIndex(),
+
+    // Prefer Everything where it can run, otherwise crawl the filesystem natively
+    async getBackend() {
+        if (!this.backend) {
+            const everything = new EverythingBackend();
+            if (everything.isAvailable()) {
+                this.backend = everything;
+            } else {
+                const { config, warnings } = await loadCrawlerOptions();
+                const crawler = new FileSystemCrawlerBackend(config);
+                crawler.warnings.unshift(...warnings);
+                crawler.warnings.forEach(warning => console.warn(warning));
+                this.backend = crawler;
             }
-            
-            // Split the output into lines and filter empty lines
-            const folders = stdout.split('\n')
-                .map(line => line.trim())
-                .filter(line => line.length > 0);
-                
-            return folders;
-        } catch (error) {
-            console.error('Failed to execute folder query:', error);
-            return [];
         }
+        return this.backend;
     },
 
-    async switchLibrary(libraryPath) {
+    activeQuery: null,
+
+    // Runs a backend query, cancelling whichever query is still in flight.
+    // Rejects with an AbortError when superseded, and with a readable error on timeout or failure.
+    async queryFolders(query, { timeout = QUERY_TIMEOUT } = {}) {
+        if (this.activeQuery) {
+            this.activeQuery.abort();
+        }
+        const controller = new AbortController();
+        this.activeQuery = controller;
+
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+
         try {
-            return await EagleApi.library.switch(libraryPath);
+            const backend = await this.getBackend();
+            return await backend.query(query, controller.signal);
         } catch (error) {
-            console.error('Failed to switch library:', error);
+            if (timedOut) {
+                const timeoutError = new Error(`Library query timed out after ${Math.round(timeout / 1000)}s`);
+                timeoutError.found = error.found;
+                throw timeoutError;
+            }
+            if (error.name !== 'AbortError') {
+                console.error('Failed to execute folder query:', error);
+            }
             throw error;
+        } finally {
+            clearTimeout(timer);
+            if (this.activeQuery === controller) {
+                this.activeQuery = null;
+            }
         }
     },
 
+    // Throws with a readable message when the query can't be parsed
+    async searchLibraries(input) {
+        const query = parseLibraryQuery(input);
+        return applyLibraryQuery(this.index, query);
+    },
+
+    // A rescan also drops cached details, e.g. for a library whose icon changed
+    async refreshIndex() {
+        const backend = await this.getBackend();
+        const entries = await this.index.refresh(query => this.queryFolders(query, { timeout: backend.refreshTimeout }));
+        clearLibraryMetadataCache();
+        return entries;
+    },
+
+    switchHistory,
+    switchLibrary,
+    switchHistoryStep,
+
+    createLibrary,
+
     styles: ['styles.css'],
     
     render: () => `
         <div class="eagle-folder-query-container">
             <div class="folder-search-section">
                 <div class="search-container">
-                    <input type="text" id="folder-search" placeholder="Search Eagle folders...">
+                    <input type="text" id="folder-search" placeholder="Search libraries, e.g. mood path:design items:>1000 modified:<30d sort:-size">
+                    <div id="query-error" class="query-error hidden"></div>
+                    <div id="config-warning" class="query-error hidden"></div>
                 </div>
                 <div class="button-container">
+                    <button id="switch-back" class="refresh-btn" disabled>← Back</button>
+                    <button id="switch-forward" class="refresh-btn" disabled>Forward →</button>
+                    <span id="index-status" class="index-status"></span>
                     <button id="refresh-folders" class="refresh-btn">Refresh Folders</button>
                 </div>
             </div>
@@ -65,20 +572,120 @@ module.exports = {
     mount: (container) => {
         const searchInput = container.querySelector('#folder-search');
         const resultsDiv = container.querySelector('#folder-results');
+        const refreshBtn = container.querySelector('#refresh-folders');
+        const backBtn = container.querySelector('#switch-back');
+        const forwardBtn = container.querySelector('#switch-forward');
+        const indexStatus = container.querySelector('#index-status');
+        const queryError = container.querySelector('#query-error');
+        const configWarning = container.querySelector('#config-warning');
+        const libraryIndex = module.exports.index;
         let searchTimeout = null;
+        let refreshInterval = null;
+        let metadataObserver = null;
+        let searchToken = 0;
 
-        function formatFolderItem(folderPath) {
-            const dirname = path.dirname(folderPath);
-            const basename = path.basename(folderPath, '.library');
+        function formatFolderItem(entry) {
+            const dirname = path.dirname(entry.path);
+            const basename = path.basename(entry.path, '.library');
+            const missingLabel = entry.missing ?
+                '<span class="missing-label">Missing since last scan</span>' : '';
             
             return `
-                <li class="folder-item" data-path="${folderPath}">
-                    <div class="folder-name">${basename}</div>
-                    <div class="folder-path">${dirname}</div>
+                <li class="folder-item ${entry.missing ? 'missing' : ''}" data-path="${escapeHtml(entry.path)}">
+                    <img class="library-icon hidden" alt="">
+                    <div class="folder-details">
+                        <div class="folder-name">${escapeHtml(basename)} ${missingLabel}</div>
+                        <div class="folder-path">${escapeHtml(dirname)}</div>
+                        <div class="library-meta">${entry.missing ? '' : 'Loading details...'}</div>
+                    </div>
                 </li>
             `;
         }
 
+        function promptCreateLibrary(directory) {
+            return promptCreateLibraryDialog(directory, async libraryPath => {
+                await module.exports.switchLibrary(libraryPath);
+                updateSwitchButtons();
+            });
+        }
+
+        function handleFolderContextMenu(e) {
+            const folderItem = e.target.closest('.folder-item');
+            if (!folderItem) return;
+            e.preventDefault();
+
+            const libraryPath = folderItem.dataset.path;
+            const name = path.basename(libraryPath, '.library');
+            // No "Open in New Window": Eagle's plugin API can only switch the library
+            // shown in the current window (EagleApi.library.switch)
+            eagle.contextMenu.open([
+                {
+                    id: 'reveal',
+                    label: 'Reveal in File Manager',
+                    click: () => eagle.shell.showItemInFolder(libraryPath)
+                },
+                {
+                    id: 'copy-path',
+                    label: 'Copy Path',
+                    click: () => eagle.clipboard.writeText(libraryPath)
+                },
+                {
+                    id: 'copy-markdown',
+                    label: 'Copy as Markdown Link',
+                    click: () => eagle.clipboard.writeText(`[${name}](${pathToFileURL(libraryPath).href})`)
+                },
+                {
+                    id: 'create-library',
+                    label: 'Create New Library Here...',
+                    click: async () => {
+                        const createdPath = await promptCreateLibrary(path.dirname(libraryPath));
+                        if (createdPath) {
+                            await libraryIndex.add(createdPath);
+                            performSearch();
+                        }
+                    }
+                }
+            ]);
+        }
+
+        function updateIndexStatus() {
+            if (libraryIndex.refreshing) {
+                indexStatus.textContent = 'Scanning for libraries...';
+                return;
+            }
+            if (!libraryIndex.timestamp) {
+                indexStatus.textContent = 'Not scanned yet';
+                return;
+            }
+            const lastScan = new Date(libraryIndex.timestamp).toLocaleString();
+            indexStatus.textContent = `${libraryIndex.entries.length} libraries indexed, last scan ${lastScan}` +
+                (libraryIndex.incomplete ? ' (stopped early, some libraries may be missing)' : '');
+        }
+
+        async function updateSwitchButtons() {
+            const history = module.exports.switchHistory;
+            await history.load();
+            for (const [button, direction] of [[backBtn, 'back'], [forwardBtn, 'forward']]) {
+                const target = history.peek(direction);
+                button.disabled = !target;
+                button.title = target ? `Switch ${direction} to ${path.basename(target, '.library')}` : '';
+            }
+        }
+
+        async function handleSwitchStep(direction) {
+            backBtn.disabled = true;
+            forwardBtn.disabled = true;
+            try {
+                await module.exports.switchHistoryStep(direction);
+            } catch (error) {
+                eagle.dialog.showMessageBox({
+                    type: 'error',
+                    message: 'Failed to switch library: ' + error.message
+                });
+            }
+            updateSwitchButtons();
+        }
+
         async function handleFolderClick(e) {
             const folderItem = e.target.closest('.folder-item');
             if (!folderItem) return;
@@ -97,31 +704,80 @@ module.exports = {
                 folderItem.classList.remove('switching');
                 folderItem.classList.add('error');
                 setTimeout(() => folderItem.classList.remove('error'), 2000);
+                eagle.dialog.showMessageBox({
+                    type: 'error',
+                    message: 'Failed to switch library: ' + error.message
+                });
             }
+            updateSwitchButtons();
         }
 
         async function performSearch() {
             const query = searchInput.value.trim();
-            resultsDiv.innerHTML = '<p>Searching...</p>';
-            
+            const token = ++searchToken;
+            let entries;
+
             try {
-                const folders = await module.exports.queryFolders(query);
-                
-                if (folders.length === 0) {
-                    resultsDiv.innerHTML = '<p class="no-results">No folders found</p>';
-                    return;
-                }
+                entries = await module.exports.searchLibraries(query);
+                queryError.classList.add('hidden');
+            } catch (error) {
+                if (token !== searchToken) return;
+                queryError.textContent = error.message;
+                queryError.classList.remove('hidden');
+                return;
+            }
+
+            // A newer search started while metadata filters were loading
+            if (token !== searchToken) return;
 
-                resultsDiv.innerHTML = `
-                    <ul class="folder-list">
-                        ${folders.map(folder => formatFolderItem(folder)).join('')}
-                    </ul>
-                `;
+            if (metadataObserver) {
+                metadataObserver.disconnect();
+                metadataObserver = null;
+            }
 
-                // Add click handler to the results container
-                resultsDiv.querySelector('.folder-list').addEventListener('click', handleFolderClick);
+            if (entries.length === 0) {
+                resultsDiv.innerHTML = libraryIndex.refreshing ?
+                    '<p>Searching...</p>' :
+                    '<p class="no-results">No folders found</p>';
+                return;
+            }
+
+            resultsDiv.innerHTML = `
+                <ul class="folder-list">
+                    ${entries.map(entry => formatFolderItem(entry)).join('')}
+                </ul>
+            `;
+
+            // Add click handler to the results container
+            const folderList = resultsDiv.querySelector('.folder-list');
+            folderList.addEventListener('click', handleFolderClick);
+            folderList.addEventListener('contextmenu', handleFolderContextMenu);
+            metadataObserver = observeLibraryMetadata(folderList, '.folder-item:not(.missing)');
+        }
+
+        async function refreshIndex() {
+            refreshBtn.disabled = true;
+            refreshBtn.textContent = 'Refreshing...';
+            const pending = module.exports.refreshIndex();
+            updateIndexStatus();
+
+            try {
+                await pending;
+                performSearch();
             } catch (error) {
-                resultsDiv.innerHTML = `<p class="error">Error: ${error.message}</p>`;
+                if (error.found) {
+                    // The index kept what the scan found; show that rather than an error page
+                    console.warn('Library scan stopped early:', error.message);
+                    performSearch();
+                } else if (error.name !== 'AbortError') {
+                    // A superseded scan is not a failure; the newer one reports for itself
+                    console.error('Failed to refresh library index:', error);
+                    resultsDiv.innerHTML = `<p class="error">Error: ${escapeHtml(error.message)}</p>`;
+                }
+            } finally {
+                refreshBtn.disabled = false;
+                refreshBtn.textContent = 'Refresh Folders';
+                updateIndexStatus();
             }
         }
 
@@ -135,8 +791,39 @@ module.exports = {
 
         // Add input event listener for real-time search
         searchInput.addEventListener('input', handleInput);
+        refreshBtn.addEventListener('click', refreshIndex);
+        backBtn.addEventListener('click', () => handleSwitchStep('back'));
+        forwardBtn.addEventListener('click', () => handleSwitchStep('forward'));
+        updateSwitchButtons();
+
+        // Settings from crawler.json that were ignored, so a typo doesn't go unnoticed
+        module.exports.getBackend().then(backend => {
+            if (backend.warnings && backend.warnings.length > 0) {
+                configWarning.textContent = backend.warnings.join('\n');
+                configWarning.classList.remove('hidden');
+            }
+        });
+
+        // Show the stored index immediately, then rescan in the background if it is out of date
+        libraryIndex.load().then(() => {
+            updateIndexStatus();
+            performSearch();
+            if (libraryIndex.isStale()) {
+                refreshIndex();
+            }
+        });
+        refreshInterval = setInterval(refreshIndex, INDEX_REFRESH_INTERVAL);
 
-        // Initial search on mount
-        performSearch();
+        // Return cleanup function
+        return () => {
+            clearTimeout(searchTimeout);
+            clearInterval(refreshInterval);
+            if (module.exports.activeQuery) {
+                module.exports.activeQuery.abort();
+            }
+            if (metadataObserver) {
+                metadataObserver.disconnect();
+            }
+        };
     }
-}; 
\ No newline at end of file
+};
\ No newline at end of file
@@ -0,0 +1,178 @@
+// Search box syntax: free text is fuzzy-matched against the library name, and
+// key:value tokens filter or sort, e.g. `mood path:design size:>2GB sort:-modified`
+const QUERY_FILTERS = ['path', 'drive', 'modified', 'items', 'size', 'sort'];
+const QUERY_SORT_FIELDS = ['name', 'path', 'modified', 'items', 'size'];
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+const DURATION_UNITS = { h: 3600 * 1000, d: 86400 * 1000, w: 7 * 86400 * 1000, m: 30 * 86400 * 1000, y: 365 * 86400 * 1000 };
+
+function tokenizeQuery(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+        if (/\s/.test(input[i])) {
+            i++;
+            continue;
+        }
+
+        let token = '';
+        while (i < input.length && !/\s/.test(input[i])) {
+            if (input[i] === '"') {
+                const end = input.indexOf('"', i + 1);
+                if (end === -1) {
+                    throw new Error(`Unterminated quote at position ${i + 1}`);
+                }
+                token += input.slice(i + 1, end);
+                i = end + 1;
+            } else {
+                token += input[i++];
+            }
+        }
+        tokens.push(token);
+    }
+
+    return tokens;
+}
+
+function parseComparison(key, value, parseOperand) {
+    const match = value.match(/^(<=|>=|<|>|=)?(.+)$/);
+    if (!match) {
+        throw new Error(`Missing value for ${key}:`);
+    }
+    const operand = parseOperand(match[2]);
+    if (operand === null) {
+        throw new Error(`Invalid value "${match[2]}" for ${key}:`);
+    }
+    return { op: match[1] || '=', operand };
+}
+
+function parseSize(value) {
+    const match = value.toLowerCase().match(/^(\d+(?:\.\d+)?)(b|kb|mb|gb|tb)?$/);
+    return match ? parseFloat(match[1]) * SIZE_UNITS[match[2] || 'b'] : null;
+}
+
+// "30d" style values are ages; ISO dates are absolute timestamps
+function parseModified(value) {
+    const duration = value.toLowerCase().match(/^(\d+(?:\.\d+)?)(h|d|w|m|y)$/);
+    if (duration) {
+        return { age: parseFloat(duration[1]) * DURATION_UNITS[duration[2]] };
+    }
+    if (/^\d{4}-\d{2}-\d{2}/.test(value)) {
+        const time = Date.parse(value);
+        return Number.isNaN(time) ? null : { time };
+    }
+    return null;
+}
+
+function parseLibraryQuery(input) {
+    const query = { terms: [], filters: [], sort: null };
+
+    for (const token of tokenizeQuery(input)) {
+        const match = token.match(/^([a-z]{2,}):(.*)$/i);
+        if (!match) {
+            query.terms.push(token.toLowerCase());
+            continue;
+        }
+
+        const key = match[1].toLowerCase();
+        const value = match[2];
+        if (!QUERY_FILTERS.includes(key)) {
+            throw new Error(`Unknown filter "${key}:" (expected one of ${QUERY_FILTERS.map(f => f + ':').join(', ')})`);
+        }
+        if (!value) {
+            throw new Error(`Missing value for ${key}:`);
+        }
+
+        switch (key) {
+            case 'path':
+            case 'drive':
+                query.filters.push({ key, value: value.toLowerCase() });
+                break;
+            case 'items':
+                query.filters.push({ key, ...parseComparison(key, value, v => /^\d+$/.test(v) ? parseInt(v, 10) : null) });
+                break;
+            case 'size':
+                query.filters.push({ key, ...parseComparison(key, value, parseSize) });
+                break;
+            case 'modified':
+                query.filters.push({ key, ...parseComparison(key, value, parseModified) });
+                break;
+            case 'sort': {
+                const descending = value.startsWith('-');
+                const field = value.replace(/^-/, '').toLowerCase();
+                if (!QUERY_SORT_FIELDS.includes(field)) {
+                    throw new Error(`Cannot sort by "${field}" (expected one of ${QUERY_SORT_FIELDS.join(', ')})`);
+                }
+                query.sort = { field, descending };
+                break;
+            }
+        }
+    }
+
+    return query;
+}
+
+// Score how well `term` matches `text`: substrings beat scattered characters,
+// and matches at the start or on word boundaries rank higher. 0 means no match.
+function fuzzyScore(term, text) {
+    const index = text.indexOf(term);
+    if (index !== -1) {
+        const boundary = index === 0 || /[\s\-_.]/.test(text[index - 1]);
+        return 100 + (index === 0 ? 50 : 0) + (boundary ? 20 : 0) + (term.length === text.length ? 50 : 0);
+    }
+
+    let score = 0;
+    let textIndex = 0;
+    let previous = -2;
+    for (const char of term) {
+        textIndex = text.indexOf(char, textIndex);
+        if (textIndex === -1) return 0;
+        score += textIndex === previous + 1 ? 5 : 1;
+        previous = textIndex;
+        textIndex++;
+    }
+    return score;
+}
+
+// Volume a path lives on: the drive letter on Windows, otherwise the mount point name
+function getDrive(libraryPath) {
+    const letter = libraryPath.match(/^([a-z]):/i);
+    if (letter) return letter[1].toLowerCase();
+    const volume = libraryPath.match(/^\/(?:Volumes|mnt|media\/[^/]+)\/([^/]+)/);
+    return volume ? volume[1].toLowerCase() : '/';
+}
+
+function compare(actual, op, expected) {
+    switch (op) {
+        case '<': return actual < expected;
+        case '>': return actual > expected;
+        case '<=': return actual <= expected;
+        case '>=': return actual >= expected;
+        default: return actual === expected;
+    }
+}
+
+function matchesMetadataFilter(filter, details) {
+    switch (filter.key) {
+        case 'items':
+            return compare(details.items, filter.op, filter.operand);
+        case 'size':
+            return compare(details.size, filter.op, filter.operand);
+        case 'modified':
+            if (!details.modified) return false;
+            if (filter.operand.age !== undefined) {
+                // Ages compare the other way round: "<30d" means newer than 30 days
+                const age = Date.now() - details.modified;
+                return compare(age, filter.op, filter.operand.age);
+            }
+            return compare(details.modified, filter.op, filter.operand.time);
+    }
+    return true;
+}
+
+module.exports = {
+    fuzzyScore,
+    getDrive,
+    matchesMetadataFilter,
+    parseLibraryQuery
+};
@@ -0,0 +1,355 @@
+const fs = require('fs');
+const path = require('path');
+const { createCanvas, loadImage } = require('canvas');
+const { inspectImage, stripMetadata, readExifOrientation } = require('./metadata');
+const { cleanSvg, getSvgSize, minifySvg, svgToDataUri } = require('./svg');
+
+// Re-encoding targets; 'original' keeps the source format (PNG for formats canvas can't write)
+const OUTPUT_FORMATS = {
+    original: null,
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp'
+};
+// Bounds for the byte budget search: quality is lowered first, then the image is scaled down
+const MIN_QUALITY = 0.4;
+const MIN_SCALE = 0.05;
+const SEARCH_STEPS = 7;
+
+// node-canvas can't write WebP; the worker process asks the UI, which hands the pixels
+// to a browser Worker with an OffscreenCanvas. Resolves to a data URI.
+let webpEncoder = null;
+
+function setWebpEncoder(encoder) {
+    webpEncoder = encoder;
+}
+
+/**
+ * Encode an image as a data URI within the given limits.
+ * Images that already fit keep their format and dimensions: ICO, WebP and GIF
+ * files are copied byte for byte, while PNG, JPEG and the rest are redrawn once
+ * through canvas at their own size, so their bytes still change. Otherwise the
+ * image is redrawn on a canvas, scaled to maxWidth/maxHeight and written in the
+ * chosen format. When the result is over targetBytes (measured as data URI length),
+ * quality and then scale are binary-searched for the largest output that fits.
+ */
+async function reencodeImage(imagePath, options) {
+    const ext = path.extname(imagePath).toLowerCase();
+    if (ext === '.svg') {
+        return encodeSvg(imagePath, options);
+    }
+    const buffer = await fs.promises.readFile(imagePath);
+    const originalSize = buffer.length;
+
+    let image = null;
+    try {
+        image = await loadImage(buffer);
+    } catch (error) {
+        // Formats canvas can't decode (e.g. .ico) can still be passed through
+    }
+    const original = {
+        originalSize,
+        originalWidth: image ? image.width : null,
+        originalHeight: image ? image.height : null
+    };
+
+    // node-canvas applies JPEG orientation while decoding; anything else is rotated
+    // when drawn, since canvas output never carries the EXIF tag along
+    const isJpeg = ext === '.jpg' || ext === '.jpeg';
+    const orientation = readExifOrientation(buffer);
+    const drawOrientation = image && !isJpeg ? orientation : 1;
+    const warnings = [];
+
+    // Skip the pass-through when the file's base64 alone would be over budget
+    const fitsAsIs = !options.targetBytes || Math.ceil(originalSize / 3) * 4 <= options.targetBytes;
+    const keepsOrientation = !options.stripMetadata || drawOrientation === 1;
+    if (options.format === 'original' && !options.maxWidth && !options.maxHeight && fitsAsIs && keepsOrientation) {
+        let dataUri = await processImage(imagePath);
+        if (options.stripMetadata) {
+            dataUri = stripDataUri(dataUri);
+            if (!image && orientation !== 1) {
+                warnings.push(`EXIF orientation was dropped without rotating; canvas can't decode ${ext} images`);
+            }
+        }
+        if (!options.targetBytes || dataUri.length <= options.targetBytes) {
+            return {
+                ...original,
+                dataUri,
+                mime: getMimeType(ext),
+                width: original.originalWidth,
+                height: original.originalHeight,
+                reencoded: false,
+                warnings
+            };
+        }
+    }
+
+    if (!image) {
+        throw new Error(`Can't re-encode ${ext} images; use the Original format without size limits`);
+    }
+
+    const mime = OUTPUT_FORMATS[options.format] || (ext === '.jpg' || ext === '.jpeg' ? 'image/jpeg' : 'image/png');
+    const size = { width: image.width, height: image.height };
+    return fitCanvasImage(image, size, 1, mime, options, original, drawOrientation);
+}
+
+// What the file says about itself, for the metadata table
+async function inspectFile(imagePath, result) {
+    if (path.extname(imagePath).toLowerCase() === '.svg') {
+        return { format: 'SVG', width: result.originalWidth, height: result.originalHeight };
+    }
+    return inspectImage(await fs.promises.readFile(imagePath));
+}
+
+// Draw `image` at up to `scale` times `size` (further limited by the max dimensions)
+// and encode it, searching quality and scale when the result is over budget
+async function fitCanvasImage(image, size, scale, mime, options, original, orientation = 1) {
+    // Limits apply to the output, which is transposed for orientations 5-8
+    const outputSize = orientation >= 5 ? { width: size.height, height: size.width } : size;
+    const baseScale = Math.min(
+        scale,
+        options.maxWidth ? options.maxWidth / outputSize.width : scale,
+        options.maxHeight ? options.maxHeight / outputSize.height : scale
+    );
+    const encode = async (scale, quality) => {
+        const canvas = renderScaled(image, size, scale, mime, orientation);
+        return {
+            ...original,
+            dataUri: await canvasToDataUri(canvas, mime, quality),
+            mime,
+            width: canvas.width,
+            height: canvas.height,
+            scale,
+            quality,
+            reencoded: true,
+            warnings: []
+        };
+    };
+
+    const target = options.targetBytes;
+    const result = await encode(baseScale, options.quality);
+    if (!target || result.dataUri.length <= target) {
+        return result;
+    }
+
+    // PNG ignores quality, so only lossy formats get the quality pass
+    if (mime !== 'image/png' && options.quality > MIN_QUALITY) {
+        const byQuality = await searchLargestFitting(MIN_QUALITY, options.quality, q => encode(baseScale, q), target);
+        if (byQuality.best) return byQuality.best;
+    }
+    const quality = mime === 'image/png' ? options.quality : Math.min(options.quality, MIN_QUALITY);
+    const byScale = await searchLargestFitting(baseScale * MIN_SCALE, baseScale, s => encode(s, quality), target);
+    return byScale.best || { ...byScale.smallest, overBudget: true };
+}
+
+// Binary search for the largest value in [low, high] whose encoding fits the target
+async function searchLargestFitting(low, high, encodeAt, target) {
+    const smallest = await encodeAt(low);
+    if (smallest.dataUri.length > target) {
+        return { best: null, smallest };
+    }
+    let best = smallest;
+    for (let i = 0; i < SEARCH_STEPS; i++) {
+        const mid = (low + high) / 2;
+        const candidate = await encodeAt(mid);
+        if (candidate.dataUri.length <= target) {
+            best = candidate;
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return { best, smallest };
+}
+
+function renderScaled(image, size, scale, mime, orientation = 1) {
+    const width = Math.max(1, Math.round(size.width * scale));
+    const height = Math.max(1, Math.round(size.height * scale));
+    const transposed = orientation >= 5;
+    const canvas = createCanvas(transposed ? height : width, transposed ? width : height);
+    const ctx = canvas.getContext('2d');
+    if (mime === 'image/jpeg') {
+        // JPEG has no alpha; flatten onto white rather than black
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    applyOrientation(ctx, orientation, width, height);
+    ctx.drawImage(image, 0, 0, width, height);
+    return canvas;
+}
+
+// Transform so drawing a width×height image at the origin comes out upright
+function applyOrientation(ctx, orientation, width, height) {
+    switch (orientation) {
+        case 2: ctx.translate(width, 0); ctx.scale(-1, 1); break;
+        case 3: ctx.translate(width, height); ctx.rotate(Math.PI); break;
+        case 4: ctx.translate(0, height); ctx.scale(1, -1); break;
+        case 5: ctx.rotate(0.5 * Math.PI); ctx.scale(1, -1); break;
+        case 6: ctx.rotate(0.5 * Math.PI); ctx.translate(0, -height); break;
+        case 7: ctx.rotate(0.5 * Math.PI); ctx.translate(width, -height); ctx.scale(-1, 1); break;
+        case 8: ctx.rotate(-0.5 * Math.PI); ctx.translate(-width, 0); break;
+    }
+}
+
+// Drop EXIF/XMP from a base64 data URI that holds the original file bytes
+function stripDataUri(dataUri) {
+    const [, header, base64] = dataUri.match(/^(data:[^,]*;base64),(.*)$/) || [];
+    if (!header) return dataUri;
+    const buffer = Buffer.from(base64, 'base64');
+    const stripped = stripMetadata(buffer);
+    return stripped === buffer ? dataUri : `${header},${stripped.toString('base64')}`;
+}
+
+async function canvasToDataUri(canvas, mime, quality) {
+    if (mime === 'image/png') {
+        return canvas.toDataURL(mime);
+    }
+    if (mime === 'image/jpeg') {
+        return canvas.toDataURL(mime, quality);
+    }
+    if (!webpEncoder) {
+        throw new Error('WebP output needs a browser canvas');
+    }
+    return webpEncoder(canvas, quality);
+}
+
+/**
+ * Encode an SVG either as a minified, URL-encoded text data URI or, in raster
+ * mode, as a bitmap drawn at svgScale times its intrinsic size. Editor metadata,
+ * comments and unused defs are stripped first in both modes.
+ */
+async function encodeSvg(svgPath, options) {
+    const source = await fs.promises.readFile(svgPath, 'utf8');
+    const svg = minifySvg(cleanSvg(source));
+    const size = getSvgSize(svg);
+    const original = {
+        originalSize: Buffer.byteLength(source),
+        originalWidth: size ? size.width : null,
+        originalHeight: size ? size.height : null
+    };
+
+    if (options.svgMode !== 'raster') {
+        const dataUri = svgToDataUri(svg);
+        return {
+            ...original,
+            dataUri,
+            mime: 'image/svg+xml',
+            width: original.originalWidth,
+            height: original.originalHeight,
+            reencoded: true,
+            overBudget: !!options.targetBytes && dataUri.length > options.targetBytes,
+            warnings: []
+        };
+    }
+
+    const image = await loadImage(Buffer.from(svg));
+    const rasterSize = size || { width: image.width, height: image.height };
+    if (!rasterSize.width || !rasterSize.height) {
+        throw new Error('SVG has no width, height or viewBox to rasterize at');
+    }
+    const mime = OUTPUT_FORMATS[options.format] || 'image/png';
+    return fitCanvasImage(image, rasterSize, options.svgScale, mime, options, original);
+}
+
+async function processImage(imagePath) {
+    const ext = path.extname(imagePath).toLowerCase();
+    
+    // For files that canvas can't handle or might have issues with, read directly
+    if (ext === '.ico' || ext === '.webp' || ext === '.gif') {
+        try {
+            const buffer = fs.readFileSync(imagePath);
+            const mimeType = getMimeType(ext);
+            return `data:${mimeType};base64,${buffer.toString('base64')}`;
+        } catch (error) {
+            throw new Error(`Failed to read image file: ${error.message}`);
+        }
+    }
+
+    // For standard image types, use canvas
+    try {
+        const image = await loadImage(imagePath);
+        const canvas = createCanvas(image.width, image.height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0);
+        return canvas.toDataURL(getMimeType(ext));
+    } catch (error) {
+        // If canvas fails, fall back to direct reading
+        const buffer = fs.readFileSync(imagePath);
+        const mimeType = getMimeType(ext);
+        return `data:${mimeType};base64,${buffer.toString('base64')}`;
+    }
+}
+
+function getMimeType(ext) {
+    const mimeTypes = {
+        '.jpg': 'image/jpeg',
+        '.jpeg': 'image/jpeg',
+        '.png': 'image/png',
+        '.gif': 'image/gif',
+        '.webp': 'image/webp',
+        '.bmp': 'image/bmp',
+        '.ico': 'image/x-icon',
+        '.svg': 'image/svg+xml'
+    };
+    return mimeTypes[ext] || 'image/png';
+}
+
+module.exports = {
+    inspectFile,
+    reencodeImage,
+    setWebpEncoder
+};
+
+// Forked as a worker: encode requests in order, dropping any the UI cancelled
+if (require.main === module && process.send) {
+    const queue = [];
+    const cancelled = new Set();
+    const pendingWebp = new Map();
+    let nextWebpId = 0;
+    let busy = false;
+
+    setWebpEncoder((canvas, quality) => {
+        const webpId = ++nextWebpId;
+        const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        return new Promise((resolve, reject) => {
+            pendingWebp.set(webpId, { resolve, reject });
+            process.send({ webp: { webpId, width: canvas.width, height: canvas.height, pixels: data, quality } });
+        });
+    });
+
+    const runNext = async () => {
+        if (busy || !queue.length) return;
+        busy = true;
+        const { id, imagePath, options } = queue.shift();
+        if (cancelled.delete(id)) {
+            process.send({ id, cancelled: true });
+        } else {
+            try {
+                const result = await reencodeImage(imagePath, options);
+                result.metadata = await inspectFile(imagePath, result);
+                // Cancelled while encoding; don't ship a result nobody wants
+                process.send(cancelled.delete(id) ? { id, cancelled: true } : { id, result });
+            } catch (error) {
+                process.send({ id, error: error.message });
+            }
+        }
+        busy = false;
+        runNext();
+    };
+
+    process.on('message', message => {
+        if (message.webpId !== undefined) {
+            const pending = pendingWebp.get(message.webpId);
+            pendingWebp.delete(message.webpId);
+            if (pending && message.error) pending.reject(new Error(message.error));
+            else if (pending) pending.resolve(message.dataUri);
+            return;
+        }
+        if (message.cancel !== undefined) {
+            cancelled.add(message.cancel);
+            return;
+        }
+        queue.push(message);
+        runNext();
+    });
+}
\ No newline at end of file
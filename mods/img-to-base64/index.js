@@ -1,47 +1,222 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { createCanvas, loadImage } = require('canvas');
+const { fork } = require('child_process');
+const { pathToFileURL } = require('url');
+const {EagleApi} = require('@eagle-cooler/utils');
+const { EXIF_ORIENTATIONS } = require('./metadata');
 
-const SUPPORTED_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.ico'];
+const SUPPORTED_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.ico', '.svg'];
 const MAX_FILE_SIZE = 512 * 1024; // 512KB in bytes
+const TEMPLATES_FILE = path.join(os.homedir(), '.eaglecooler', 'img-to-base64', 'templates.json');
+// Encoded results kept for recently viewed items, keyed by path, mtime and options
+const ENCODE_CACHE_LIMIT = 20;
+
+// Built-in output formats, rendered from the selected item's context
+const BUILTIN_TEMPLATES = {
+    'data-uri': { label: 'Data URI', render: ctx => ctx.data },
+    'base64': { label: 'Raw base64', render: ctx => ctx.base64 },
+    'css': {
+        label: 'CSS background-image',
+        render: ctx => `.${ctx.slug} {\n    background-image: url("${ctx.data}");\n    width: ${ctx.width}px;\n    height: ${ctx.height}px;\n}`
+    },
+    'html': {
+        label: 'HTML <img>',
+        render: ctx => `<img src="${ctx.data}" width="${ctx.width}" height="${ctx.height}" alt="${escapeAttribute(ctx.annotation || ctx.name)}">`
+    },
+    'markdown': {
+        label: 'Markdown image',
+        render: ctx => `![${(ctx.annotation || ctx.name).replace(/[[\]]/g, '\\$&')}](${ctx.data})`
+    },
+    'json': {
+        label: 'JSON',
+        render: ctx => JSON.stringify({
+            name: ctx.name,
+            mime: ctx.mime,
+            width: ctx.width,
+            height: ctx.height,
+            tags: ctx.tagList,
+            data: ctx.data
+        }, null, 2)
+    },
+    'ts': {
+        label: 'TypeScript module (.ts)',
+        render: ctx => `export const ${ctx.identifier}: string = '${ctx.data}';`
+    },
+    // Declarations carry no values; they type a .js module built from the JS or TS output
+    'dts': {
+        label: 'TypeScript declaration (.d.ts)',
+        render: ctx => `export declare const ${ctx.identifier}: string;`
+    }
+};
+
+// Decoded images are staged here for Eagle to import from
+const IMPORT_DIR = path.join(os.tmpdir(), 'eaglecooler-img-to-base64');
+// Bare base64 runs shorter than this in a text blob are not worth probing
+const MIN_BASE64_RUN = 64;
+
+// File signatures for images pasted without (or with a wrong) declared type
+const IMAGE_SIGNATURES = [
+    { mime: 'image/png', ext: '.png', test: b => b.length > 8 && b.readUInt32BE(0) === 0x89504e47 },
+    { mime: 'image/jpeg', ext: '.jpg', test: b => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { mime: 'image/gif', ext: '.gif', test: b => b.toString('ascii', 0, 4) === 'GIF8' },
+    { mime: 'image/webp', ext: '.webp', test: b => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+    { mime: 'image/bmp', ext: '.bmp', test: b => b.toString('ascii', 0, 2) === 'BM' && b.length > 14 },
+    { mime: 'image/x-icon', ext: '.ico', test: b => b.length > 6 && b.readUInt32BE(0) === 0x00000100 },
+    { mime: 'image/tiff', ext: '.tif', test: b => ['II*\0', 'MM\0*'].includes(b.toString('binary', 0, 4)) },
+    { mime: 'image/avif', ext: '.avif', test: b => b.toString('ascii', 4, 8) === 'ftyp' && /^avi[fs]$/.test(b.toString('ascii', 8, 12)) },
+    { mime: 'image/svg+xml', ext: '.svg', test: b => /^(\uFEFF)?\s*(<\?xml[\s\S]*?\?>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE[^>]*>\s*)?<svg[\s>]/i.test(b.toString('utf8', 0, 1024)) }
+];
+
+// Placeholders available to custom templates, e.g. `<img src="{data}" alt="{name}">`
+const TEMPLATE_PLACEHOLDERS = ['name', 'ext', 'mime', 'width', 'height', 'tags', 'annotation', 'data', 'base64', 'size', 'slug', 'identifier'];
 
 module.exports = {
     name: 'Base64 Image Converter',
     styles: ['styles.css'],
     render: () => `
         <div class="base64-converter">
-            <div id="header-message" class="header-message hidden">
-                This file type is not supported. Supported types: ${SUPPORTED_EXTENSIONS.join(', ')}
+            <div class="mode-tabs">
+                <button class="mode-tab active" data-mode="selection">Selection</button>
+                <button class="mode-tab" data-mode="import">Paste / Import</button>
             </div>
-            <div class="converter-container">
-                <div class="preview-container">
-                    <img id="image-preview" class="image-preview hidden" />
+            <div id="selection-view">
+                <div id="header-message" class="header-message hidden">
+                    This file type is not supported. Supported types: ${SUPPORTED_EXTENSIONS.join(', ')}
+                </div>
+                <div class="encode-options">
+                    <label>Max size
+                        <input type="number" id="encode-max-width" min="1" placeholder="width">
+                        ×
+                        <input type="number" id="encode-max-height" min="1" placeholder="height">
+                    </label>
+                    <label>Format
+                        <select id="encode-format" class="format-select">
+                            <option value="original">Original</option>
+                            <option value="png">PNG</option>
+                            <option value="jpeg">JPEG</option>
+                            <option value="webp">WebP</option>
+                        </select>
+                    </label>
+                    <label>Quality
+                        <input type="range" id="encode-quality" min="0.1" max="1" step="0.01" value="0.92">
+                        <span id="encode-quality-value">0.92</span>
+                    </label>
+                    <label>SVG
+                        <select id="encode-svg" class="format-select">
+                            <option value="inline">Inline text</option>
+                            <option value="raster">Rasterize</option>
+                        </select>
+                        <input type="number" id="encode-svg-scale" min="0.1" step="0.5" value="1" title="Rasterize scale">
+                        ×
+                    </label>
+                    <label title="Remove EXIF, GPS, XMP and text metadata, applying EXIF orientation to the pixels">
+                        <input type="checkbox" id="encode-strip" checked>
+                        Strip metadata
+                    </label>
+                    <label>Budget
+                        <input type="number" id="encode-budget" min="1" value="${MAX_FILE_SIZE / 1024}" placeholder="none">
+                        KB
+                    </label>
                 </div>
-                <div class="text-container">
-                    <div class="text-header">
-                        <span id="size-info"></span>
-                        <button id="copy-button" class="copy-button" title="Copy to clipboard">
-                            📋 Copy
-                        </button>
+                <div class="converter-container">
+                    <div class="preview-container">
+                        <img id="image-preview" class="image-preview hidden" />
                     </div>
-                    <textarea id="base64-output" readonly></textarea>
+                    <details class="metadata-inspector" open>
+                        <summary>Image metadata</summary>
+                        <table id="metadata-table"></table>
+                    </details>
+                    <div class="text-container">
+                        <div class="text-header">
+                            <span id="size-info"></span>
+                            <div>
+                                <select id="output-format" class="format-select"></select>
+                                <button id="copy-button" class="copy-button" title="Copy to clipboard">
+                                    📋 Copy
+                                </button>
+                            </div>
+                        </div>
+                        <textarea id="base64-output" readonly></textarea>
+                        <details class="template-editor">
+                            <summary>Custom templates</summary>
+                            <input type="text" id="template-name" placeholder="Template name">
+                            <textarea id="template-pattern" placeholder="e.g. &lt;img src=&quot;{data}&quot; alt=&quot;{name}&quot;&gt;"></textarea>
+                            <div class="template-help">Placeholders: ${TEMPLATE_PLACEHOLDERS.map(p => `{${p}}`).join(' ')}</div>
+                            <div>
+                                <button id="template-delete" class="copy-button">Delete</button>
+                                <button id="template-save" class="copy-button">Save Template</button>
+                            </div>
+                        </details>
+                    </div>
+                </div>
+                <div id="batch-container" class="batch-container hidden">
+                    <div class="batch-progress-row">
+                        <progress id="batch-progress" value="0" max="1"></progress>
+                        <span id="batch-status"></span>
+                    </div>
+                    <div class="text-container">
+                        <div class="text-header">
+                            <select id="batch-format" class="format-select">
+                                <option value="json">JSON map</option>
+                                <option value="css">CSS classes</option>
+                                <option value="js">JS module</option>
+                                <option value="ts">TS module</option>
+                                <option value="dts">TS declarations (.d.ts)</option>
+                            </select>
+                            <div>
+                                <button id="batch-save-button" class="copy-button" title="Save to file">💾 Save</button>
+                                <button id="batch-copy-button" class="copy-button" title="Copy to clipboard">📋 Copy</button>
+                            </div>
+                        </div>
+                        <textarea id="batch-output" readonly></textarea>
+                    </div>
+                </div>
+            </div>
+            <div id="import-view" class="import-container hidden">
+                <textarea id="import-input" placeholder="Paste a data URI, raw base64, or CSS/JSON/HTML containing data URIs"></textarea>
+                <div class="import-options">
+                    <label>Name <input type="text" id="import-name" value="pasted"></label>
+                    <label>Tags <input type="text" id="import-tags" value="base64-import" placeholder="comma separated"></label>
+                    <span id="import-status"></span>
+                    <button id="import-add" class="copy-button" disabled>Add Selected to Eagle</button>
                 </div>
+                <div id="import-results" class="import-results"></div>
             </div>
         </div>
     `,
 
     async mount(container) {
+        // Add click handlers for copy buttons and the batch format selector
+        document.getElementById('copy-button').addEventListener('click', copyToClipboard);
+        document.getElementById('batch-copy-button').addEventListener('click', copyBatchToClipboard);
+        document.getElementById('batch-save-button').addEventListener('click', saveBatchOutput);
+        document.getElementById('batch-format').addEventListener('change', renderBatchOutput);
+        document.getElementById('output-format').addEventListener('change', handleFormatChange);
+        document.getElementById('template-save').addEventListener('click', saveCustomTemplate);
+        document.getElementById('template-delete').addEventListener('click', deleteCustomTemplate);
+        ['encode-max-width', 'encode-max-height', 'encode-format', 'encode-quality', 'encode-svg', 'encode-svg-scale', 'encode-strip', 'encode-budget'].forEach(id => {
+            document.getElementById(id).addEventListener('change', handleEncodingChange);
+        });
+        document.getElementById('encode-quality').addEventListener('input', updateQualityLabel);
+        document.querySelectorAll('.mode-tab').forEach(tab => {
+            tab.addEventListener('click', () => setMode(tab.dataset.mode));
+        });
+        document.getElementById('import-input').addEventListener('input', handleImportInput);
+        document.getElementById('import-add').addEventListener('click', addImportedToEagle);
+
+        await loadTemplates();
+        renderFormatOptions();
+
         // Get current selection on mount
         const items = await eagle.item.getSelected();
-        if (items && items.length === 1) {
-            await handleItemSelection(items[0]);
-        }
-
-        // Add click handler for copy button
-        document.getElementById('copy-button').addEventListener('click', copyToClipboard);
+        await module.exports.onItemSelected(items);
 
         // Return cleanup function
         return () => {
+            selectionToken++;
+            clearTimeout(importDecodeTimer);
+            stopEncoder();
             const copyButton = document.getElementById('copy-button');
             if (copyButton) {
                 copyButton.removeEventListener('click', copyToClipboard);
@@ -50,20 +225,67 @@ module.exports = {
     },
 
     async onItemSelected(items) {
-        if (!items || items.length !== 1) {
+        currentSelection = items || [];
+        cancelPendingEncodes();
+        // Picked up again when switching back from the import view
+        if (currentMode !== 'selection') return;
+        if (!items || items.length === 0) {
             resetUI();
             return;
         }
+        if (items.length > 1) {
+            await handleBatchSelection(items);
+            return;
+        }
         await handleItemSelection(items[0]);
     }
 };
 
+// Bumped whenever the selection changes, so a running conversion knows it is stale
+let selectionToken = 0;
+let batchEntries = [];
+
+// Forked encoder process and its outstanding requests, by request id, plus the
+// browser Worker it hands WebP encodes to
+let encoderProcess = null;
+let webpWorker = null;
+const pendingEncodes = new Map();
+let nextEncodeId = 0;
+const encodeCache = new Map();
+
+// Selected output format and the user's own templates, persisted between sessions
+let templateSettings = { selected: 'data-uri', custom: [] };
+// Context of the item currently shown, for re-rendering when the format changes
+let currentContext = null;
+// Last selection, re-encoded when the encoding options change
+let currentSelection = [];
+// 'selection' converts Eagle items, 'import' decodes pasted text back into items
+let currentMode = 'selection';
+// Images decoded from the import text, each { mime, ext, buffer, source, selected }
+let importEntries = [];
+let importDecodeTimer = null;
+// Re-encoding options; by default only images over the budget are touched
+let encodingOptions = {
+    maxWidth: null,
+    maxHeight: null,
+    format: 'original',
+    quality: 0.92,
+    svgMode: 'inline',
+    svgScale: 1,
+    stripMetadata: true,
+    targetBytes: MAX_FILE_SIZE
+};
+
 async function handleItemSelection(item) {
     if (!item || !item.filePath) {
         resetUI();
         return;
     }
 
+    // A single selection supersedes any running batch or earlier item
+    const token = ++selectionToken;
+    document.getElementById('batch-container').classList.add('hidden');
+
     const ext = path.extname(item.filePath).toLowerCase();
     const headerMessage = document.getElementById('header-message');
     const converterContainer = document.querySelector('.converter-container');
@@ -77,26 +299,19 @@ async function handleItemSelection(item) {
 
     headerMessage.classList.add('hidden');
     converterContainer.classList.remove('hidden');
+    converterContainer.classList.add('loading');
+    const sizeInfo = document.getElementById('size-info');
+    sizeInfo.textContent = 'Converting...';
+    document.getElementById('metadata-table').innerHTML = '';
 
     try {
-        const stats = fs.statSync(item.filePath);
-        const sizeInfo = document.getElementById('size-info');
-        const useOriginal = stats.size <= MAX_FILE_SIZE;
-        
-        sizeInfo.textContent = `File size: ${formatFileSize(stats.size)} - ${useOriginal ? 'Using original' : 'Using thumbnail'}`;
-        console.log(sizeInfo.textContent);
-        let imageData;
-        if (useOriginal) {
-            // Use original file
-            imageData = await processImage(item.filePath);
-        } else {
-            // Use thumbnail
-            if (item.thumbnailPath) {
-                imageData = await processImage(item.thumbnailPath);
-            } else {
-                throw new Error('Thumbnail not available');
-            }
-        }
+        const result = await encodeItem(item);
+        // Another item was selected while this one was encoding
+        if (token !== selectionToken || !result) return;
+        converterContainer.classList.remove('loading');
+        const imageData = result.dataUri;
+        sizeInfo.textContent = describeEncoding(result);
+        sizeInfo.classList.toggle('over-budget', !!result.overBudget);
 
         // Update preview
         const preview = document.getElementById('image-preview');
@@ -104,10 +319,15 @@ async function handleItemSelection(item) {
         preview.classList.remove('hidden');
 
         // Update textarea
-        const textarea = document.getElementById('base64-output');
-        textarea.value = imageData;
+        const context = await buildTemplateContext(item, imageData);
+        if (token !== selectionToken) return;
+        currentContext = context;
+        renderOutput();
+
+        renderMetadata(result.metadata);
 
     } catch (error) {
+        if (token !== selectionToken) return;
         console.error('Error processing image:', error);
         headerMessage.textContent = 'Failed to process image: ' + error.message;
         headerMessage.classList.remove('hidden');
@@ -115,46 +335,621 @@ async function handleItemSelection(item) {
     }
 }
 
-async function processImage(imagePath) {
-    const ext = path.extname(imagePath).toLowerCase();
-    
-    // For files that canvas can't handle or might have issues with, read directly
-    if (ext === '.ico' || ext === '.webp' || ext === '.gif') {
+async function loadTemplates() {
+    try {
+        const data = await fs.promises.readFile(TEMPLATES_FILE, 'utf8');
+        templateSettings = { ...templateSettings, ...JSON.parse(data) };
+    } catch (error) {
+        // No saved templates yet
+    }
+}
+
+async function saveTemplates() {
+    try {
+        await fs.promises.mkdir(path.dirname(TEMPLATES_FILE), { recursive: true });
+        await fs.promises.writeFile(TEMPLATES_FILE, JSON.stringify(templateSettings, null, 2));
+    } catch (error) {
+        console.error('Failed to save templates:', error);
+    }
+}
+
+function renderFormatOptions() {
+    const select = document.getElementById('output-format');
+    const builtins = Object.entries(BUILTIN_TEMPLATES)
+        .map(([id, template]) => `<option value="${id}">${escapeAttribute(template.label)}</option>`);
+    const custom = templateSettings.custom
+        .map(template => `<option value="custom:${escapeAttribute(template.name)}">${escapeAttribute(template.name)}</option>`);
+    select.innerHTML = builtins.join('') +
+        (custom.length ? `<optgroup label="Custom">${custom.join('')}</optgroup>` : '');
+
+    const exists = Array.from(select.options).some(option => option.value === templateSettings.selected);
+    select.value = exists ? templateSettings.selected : 'data-uri';
+    syncTemplateEditor();
+}
+
+// Show the selected custom template in the editor so it can be changed or deleted
+function syncTemplateEditor() {
+    const custom = findCustomTemplate(templateSettings.selected);
+    document.getElementById('template-name').value = custom ? custom.name : '';
+    document.getElementById('template-pattern').value = custom ? custom.pattern : '';
+    document.getElementById('template-delete').disabled = !custom;
+}
+
+function findCustomTemplate(id) {
+    if (!id || !id.startsWith('custom:')) return null;
+    const name = id.slice('custom:'.length);
+    return templateSettings.custom.find(template => template.name === name) || null;
+}
+
+async function handleFormatChange() {
+    templateSettings.selected = document.getElementById('output-format').value;
+    syncTemplateEditor();
+    renderOutput();
+    await saveTemplates();
+}
+
+async function saveCustomTemplate() {
+    const name = document.getElementById('template-name').value.trim();
+    const pattern = document.getElementById('template-pattern').value;
+    if (!name || !pattern) return;
+
+    templateSettings.custom = templateSettings.custom.filter(template => template.name !== name);
+    templateSettings.custom.push({ name, pattern });
+    templateSettings.selected = `custom:${name}`;
+    renderFormatOptions();
+    renderOutput();
+    await saveTemplates();
+}
+
+async function deleteCustomTemplate() {
+    const custom = findCustomTemplate(templateSettings.selected);
+    if (!custom) return;
+
+    templateSettings.custom = templateSettings.custom.filter(template => template !== custom);
+    templateSettings.selected = 'data-uri';
+    renderFormatOptions();
+    renderOutput();
+    await saveTemplates();
+}
+
+function measureImage(dataUri) {
+    return new Promise(resolve => {
+        const image = new Image();
+        image.onload = () => resolve({ width: image.naturalWidth, height: image.naturalHeight });
+        image.onerror = () => resolve({ width: 0, height: 0 });
+        image.src = dataUri;
+    });
+}
+
+async function buildTemplateContext(item, dataUri) {
+    const [, mime, params, payload] = dataUri.match(/^data:([^;,]+)([^,]*),(.*)$/) || [null, '', '', ''];
+    // Text data URIs (inline SVG) are URL-encoded rather than base64
+    const base64 = params.includes(';base64') ? payload : Buffer.from(decodeURIComponent(payload)).toString('base64');
+    // Measure the encoded image, which differs from the original when it was re-encoded
+    const { width, height } = await measureImage(dataUri);
+    const name = item.name || path.basename(item.filePath, path.extname(item.filePath));
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'image';
+    const identifier = slug.replace(/-([a-z0-9])/g, (_, c) => c.toUpperCase());
+
+    return {
+        name,
+        ext: path.extname(item.filePath).slice(1).toLowerCase(),
+        mime,
+        width,
+        height,
+        tagList: item.tags || [],
+        tags: (item.tags || []).join(', '),
+        annotation: item.annotation || '',
+        data: dataUri,
+        base64,
+        size: Buffer.byteLength(dataUri),
+        slug,
+        identifier: /^[0-9]/.test(identifier) ? `_${identifier}` : identifier
+    };
+}
+
+function applyTemplate(pattern, ctx) {
+    return pattern.replace(/\{(\w+)\}/g, (match, key) =>
+        TEMPLATE_PLACEHOLDERS.includes(key) ? String(ctx[key]) : match);
+}
+
+function renderOutput() {
+    const textarea = document.getElementById('base64-output');
+    if (!currentContext) {
+        textarea.value = '';
+        return;
+    }
+
+    const custom = findCustomTemplate(templateSettings.selected);
+    const builtin = BUILTIN_TEMPLATES[templateSettings.selected] || BUILTIN_TEMPLATES['data-uri'];
+    textarea.value = custom ?
+        applyTemplate(custom.pattern, currentContext) :
+        builtin.render(currentContext);
+}
+
+function escapeAttribute(text) {
+    return String(text).replace(/[<>&"']/g, c => ({
+        '<': '&lt;',
+        '>': '&gt;',
+        '&': '&amp;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[c]);
+}
+
+/**
+ * Encode an item with the current options in the encoder process, reusing the
+ * result while the file is unchanged. Resolves to null when the request was
+ * cancelled because the selection moved on.
+ */
+async function encodeItem(item) {
+    const stats = await fs.promises.stat(item.filePath);
+    const key = JSON.stringify([item.filePath, stats.mtimeMs, encodingOptions]);
+    if (encodeCache.has(key)) {
+        // Re-insert so the cache evicts least recently used first
+        const cached = encodeCache.get(key);
+        encodeCache.delete(key);
+        encodeCache.set(key, cached);
+        return cached;
+    }
+
+    const result = await requestEncode(item.filePath, encodingOptions);
+    if (!result) return null;
+
+    encodeCache.set(key, result);
+    if (encodeCache.size > ENCODE_CACHE_LIMIT) {
+        encodeCache.delete(encodeCache.keys().next().value);
+    }
+    return result;
+}
+
+function getEncoderProcess() {
+    if (encoderProcess) return encoderProcess;
+
+    // Eagle's executable only runs plain scripts with ELECTRON_RUN_AS_NODE set
+    // Advanced serialization sends WebP pixel data as bytes rather than JSON arrays
+    const child = fork(path.join(__dirname, 'encoder.js'), [], {
+        env: { ...process.env, ELECTRON_RUN_AS_NODE: '1' },
+        serialization: 'advanced'
+    });
+    child.on('message', ({ id, result, error, cancelled, webp }) => {
+        if (webp) {
+            getWebpWorker().postMessage(webp, [webp.pixels.buffer]);
+            return;
+        }
+        const pending = pendingEncodes.get(id);
+        if (!pending) return;
+        pendingEncodes.delete(id);
+        if (error) {
+            pending.reject(new Error(error));
+        } else {
+            pending.resolve(cancelled ? null : result);
+        }
+    });
+    const handleExit = () => {
+        if (encoderProcess === child) encoderProcess = null;
+        for (const pending of pendingEncodes.values()) {
+            pending.reject(new Error('Encoder process exited'));
+        }
+        pendingEncodes.clear();
+    };
+    child.on('exit', handleExit);
+    child.on('error', error => {
+        console.error('Encoder process failed:', error);
+        handleExit();
+    });
+
+    encoderProcess = child;
+    return child;
+}
+
+// Replies go straight back to whichever encoder process is running
+function getWebpWorker() {
+    if (webpWorker) return webpWorker;
+    webpWorker = new Worker(pathToFileURL(path.join(__dirname, 'webp-worker.js')).href);
+    webpWorker.onmessage = ({ data }) => {
+        if (encoderProcess) encoderProcess.send(data);
+    };
+    return webpWorker;
+}
+
+function requestEncode(imagePath, options) {
+    const id = ++nextEncodeId;
+    return new Promise((resolve, reject) => {
+        pendingEncodes.set(id, { resolve, reject });
+        getEncoderProcess().send({ id, imagePath, options });
+    });
+}
+
+// Superseded requests are skipped if queued, or their results dropped if running
+function cancelPendingEncodes() {
+    if (!encoderProcess) return;
+    for (const id of pendingEncodes.keys()) {
+        encoderProcess.send({ cancel: id });
+    }
+}
+
+function stopEncoder() {
+    if (webpWorker) {
+        webpWorker.terminate();
+        webpWorker = null;
+    }
+    if (!encoderProcess) return;
+    const child = encoderProcess;
+    encoderProcess = null;
+    child.kill();
+}
+
+function handleEncodingChange() {
+    const readDimension = id => {
+        const value = parseInt(document.getElementById(id).value, 10);
+        return value > 0 ? value : null;
+    };
+    const budget = parseFloat(document.getElementById('encode-budget').value);
+    const svgScale = parseFloat(document.getElementById('encode-svg-scale').value);
+    encodingOptions = {
+        maxWidth: readDimension('encode-max-width'),
+        maxHeight: readDimension('encode-max-height'),
+        format: document.getElementById('encode-format').value,
+        quality: parseFloat(document.getElementById('encode-quality').value),
+        svgMode: document.getElementById('encode-svg').value,
+        svgScale: svgScale > 0 ? svgScale : 1,
+        stripMetadata: document.getElementById('encode-strip').checked,
+        targetBytes: budget > 0 ? Math.round(budget * 1024) : null
+    };
+    updateQualityLabel();
+    module.exports.onItemSelected(currentSelection);
+}
+
+function updateQualityLabel() {
+    document.getElementById('encode-quality-value').textContent =
+        parseFloat(document.getElementById('encode-quality').value).toFixed(2);
+}
+
+function describeEncoding(result) {
+    const dimensions = (width, height) => width ? `${width}×${height}` : 'unknown size';
+    const before = `${formatFileSize(result.originalSize)}, ${dimensions(result.originalWidth, result.originalHeight)}`;
+    if (!result.reencoded) {
+        return `File size: ${before} - Using original`;
+    }
+    const format = { 'image/jpeg': 'JPEG', 'image/webp': 'WebP', 'image/svg+xml': 'SVG' }[result.mime] || 'PNG';
+    const lossy = result.mime === 'image/jpeg' || result.mime === 'image/webp';
+    const quality = lossy ? ` q${result.quality.toFixed(2)}` : '';
+    return `${before} → ${formatFileSize(result.dataUri.length)}, ${dimensions(result.width, result.height)} (${format}${quality})` +
+        (result.overBudget ? ' - over budget' : '') +
+        (result.warnings || []).map(warning => ` - ${warning}`).join('');
+}
+
+function renderMetadata(metadata) {
+    const exif = metadata.exif || {};
+    const yesNo = value => value === undefined ? undefined : (value ? 'Yes' : 'No');
+    const rows = [
+        ['Format', metadata.format],
+        ['Dimensions', metadata.width ? `${metadata.width}×${metadata.height}` : undefined],
+        ['Bit depth', metadata.bitDepth ? `${metadata.bitDepth}-bit${metadata.colorType ? ` ${metadata.colorType}` : ''}` : metadata.colorType],
+        ['Alpha', yesNo(metadata.alpha)],
+        ['Color profile', metadata.colorProfile],
+        ['Frames', metadata.frames],
+        ['Camera', [exif.make, exif.model].filter(Boolean).join(' ') || undefined],
+        ['Lens', exif.lens],
+        ['Taken', exif.dateTaken],
+        ['Software', exif.software],
+        ['Orientation', exif.orientation ? `${EXIF_ORIENTATIONS[exif.orientation] || 'Unknown'} (${exif.orientation})` : undefined],
+        ['GPS', exif.gps
+            ? `${exif.gps.latitude.toFixed(6)}, ${exif.gps.longitude.toFixed(6)}` +
+                (exif.gps.altitude !== undefined ? `, ${Math.round(exif.gps.altitude)} m` : '')
+            : undefined]
+    ].filter(([, value]) => value !== undefined && value !== '');
+
+    document.getElementById('metadata-table').innerHTML = rows.map(([label, value]) => `
+        <tr class="${label === 'GPS' ? 'metadata-location' : ''}">
+            <th>${label}</th>
+            <td>${escapeAttribute(String(value))}</td>
+        </tr>
+    `).join('');
+}
+
+function setMode(mode) {
+    currentMode = mode;
+    document.querySelectorAll('.mode-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.mode === mode);
+    });
+    document.getElementById('selection-view').classList.toggle('hidden', mode !== 'selection');
+    document.getElementById('import-view').classList.toggle('hidden', mode !== 'import');
+    if (mode === 'selection') {
+        module.exports.onItemSelected(currentSelection);
+    }
+}
+
+function handleImportInput() {
+    clearTimeout(importDecodeTimer);
+    importDecodeTimer = setTimeout(() => {
+        importEntries = extractEmbeddedImages(document.getElementById('import-input').value);
+        renderImportEntries();
+    }, 300);
+}
+
+/**
+ * Find images in pasted text: data URIs anywhere in it, long bare base64 runs,
+ * or the whole input as base64. The type comes from the decoded bytes rather
+ * than the declared MIME; bare base64 that isn't a recognizable image is dropped.
+ */
+function extractEmbeddedImages(text) {
+    const entries = [];
+    const seen = new Set();
+    const add = (buffer, source, declared) => {
+        const key = buffer.toString('base64');
+        if (!buffer.length || seen.has(key)) return;
+        seen.add(key);
+        const signature = detectImageType(buffer);
+        if (!signature && !declared) return;
+        entries.push({
+            mime: signature ? signature.mime : null,
+            ext: signature ? signature.ext : null,
+            declared,
+            buffer,
+            source,
+            selected: !!signature
+        });
+    };
+
+    const covered = [];
+    const dataUriPattern = /data:([\w.+-]+\/[\w.+-]+)?((?:;[\w-]+=[^;,\s"'()]*)*)(;base64)?,/gi;
+    let match;
+    while ((match = dataUriPattern.exec(text))) {
+        const [header, declared, , isBase64] = match;
+        const payloadStart = match.index + header.length;
+        // A quoted URI runs to its closing quote (inline SVG contains spaces);
+        // an unquoted one ends at whitespace or the closing paren of url(...)
+        const quote = ['"', "'"].includes(text[match.index - 1]) ? text[match.index - 1] : null;
+        const payloadEnd = quote
+            ? text.slice(payloadStart).search(new RegExp(`[${quote}\\n]|$`)) + payloadStart
+            : text.slice(payloadStart).search(/[\s"'()<>]|$/) + payloadStart;
+        const payload = text.slice(payloadStart, payloadEnd);
+        const uri = text.slice(match.index, payloadEnd);
+        covered.push([match.index, payloadEnd]);
+        dataUriPattern.lastIndex = payloadEnd;
+        try {
+            const buffer = isBase64
+                ? Buffer.from(payload, 'base64')
+                : Buffer.from(decodeURIComponent(payload), 'utf8');
+            add(buffer, uri, declared || 'text/plain');
+        } catch (error) {
+            // Malformed percent-encoding; not an image we can use
+        }
+    }
+
+    // Whole input as one base64 blob, tolerating line wrapping and URL-safe characters
+    const compact = text.replace(/\s+/g, '');
+    if (!covered.length && /^[A-Za-z0-9+/_-]+={0,2}$/.test(compact)) {
+        add(Buffer.from(compact.replace(/-/g, '+').replace(/_/g, '/'), 'base64'), compact, null);
+        return entries;
+    }
+
+    const runPattern = new RegExp(`[A-Za-z0-9+/]{${MIN_BASE64_RUN},}={0,2}`, 'g');
+    while ((match = runPattern.exec(text))) {
+        const index = match.index;
+        if (covered.some(([start, end]) => index >= start && index < end)) continue;
+        add(Buffer.from(match[0], 'base64'), match[0], null);
+    }
+    return entries;
+}
+
+function detectImageType(buffer) {
+    return IMAGE_SIGNATURES.find(signature => signature.test(buffer)) || null;
+}
+
+function renderImportEntries() {
+    const results = document.getElementById('import-results');
+    const status = document.getElementById('import-status');
+    const usable = importEntries.filter(entry => entry.mime);
+
+    results.innerHTML = importEntries.map((entry, index) => `
+        <label class="import-entry ${entry.mime ? '' : 'unrecognized'}">
+            <input type="checkbox" data-index="${index}" ${entry.selected ? 'checked' : ''} ${entry.mime ? '' : 'disabled'}>
+            ${entry.mime
+                ? `<img src="data:${entry.mime};base64,${entry.buffer.toString('base64')}">`
+                : '<div class="import-placeholder">?</div>'}
+            <span>${entry.mime ? entry.ext.slice(1).toUpperCase() : `Not an image (declared ${escapeAttribute(entry.declared)})`}
+                · ${formatFileSize(entry.buffer.length)}</span>
+        </label>
+    `).join('');
+    results.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            importEntries[checkbox.dataset.index].selected = checkbox.checked;
+            updateImportStatus();
+        });
+    });
+
+    status.textContent = importEntries.length
+        ? `Found ${usable.length} image${usable.length === 1 ? '' : 's'}` +
+            (usable.length < importEntries.length ? `, ${importEntries.length - usable.length} unrecognized` : '')
+        : '';
+    updateImportStatus();
+}
+
+function updateImportStatus() {
+    const count = importEntries.filter(entry => entry.selected).length;
+    const button = document.getElementById('import-add');
+    button.disabled = count === 0;
+    button.textContent = count ? `Add ${count} to Eagle` : 'Add Selected to Eagle';
+}
+
+async function addImportedToEagle() {
+    const selected = importEntries.filter(entry => entry.selected);
+    if (!selected.length) return;
+
+    const button = document.getElementById('import-add');
+    const status = document.getElementById('import-status');
+    const prefix = document.getElementById('import-name').value.trim() || 'pasted';
+    const tags = document.getElementById('import-tags').value.split(',').map(tag => tag.trim()).filter(Boolean);
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    button.disabled = true;
+
+    try {
+        // Files from the previous import have been picked up by Eagle by now
+        await fs.promises.rm(IMPORT_DIR, { recursive: true, force: true });
+        await fs.promises.mkdir(IMPORT_DIR, { recursive: true });
+
+        // Into the folder selected in Eagle, if any
+        let folderId = null;
+        try {
+            const folders = await eagle.folder.getSelected();
+            folderId = folders && folders.length ? folders[0].id : null;
+        } catch (error) {
+            console.error('Failed to get selected folder:', error);
+        }
+
+        let added = 0;
+        for (const [index, entry] of selected.entries()) {
+            const name = selected.length > 1 ? `${prefix}-${stamp}-${index + 1}` : `${prefix}-${stamp}`;
+            const filePath = path.join(IMPORT_DIR, name + entry.ext);
+            status.textContent = `Adding ${index + 1} of ${selected.length}...`;
+            await fs.promises.writeFile(filePath, entry.buffer);
+            await EagleApi.item.addFromPath({ path: filePath, name, tags, folderId });
+            entry.selected = false;
+            added++;
+        }
+        renderImportEntries();
+        status.textContent = `Added ${added} image${added === 1 ? '' : 's'} to Eagle`;
+    } catch (error) {
+        console.error('Failed to add images to Eagle:', error);
+        renderImportEntries();
+        eagle.dialog.showMessageBox({
+            type: 'error',
+            message: 'Failed to add images to Eagle: ' + error.message
+        });
+    }
+}
+
+async function handleBatchSelection(items) {
+    resetUI();
+    const token = selectionToken;
+    const supported = items.filter(item =>
+        item && item.filePath && SUPPORTED_EXTENSIONS.includes(path.extname(item.filePath).toLowerCase()));
+
+    const batchContainer = document.getElementById('batch-container');
+    const progress = document.getElementById('batch-progress');
+    const status = document.getElementById('batch-status');
+    batchContainer.classList.remove('hidden');
+    progress.max = Math.max(supported.length, 1);
+    progress.value = 0;
+    batchEntries = [];
+    renderBatchOutput();
+
+    const failed = [];
+    for (const item of supported) {
+        status.textContent = `Converting ${progress.value + 1} of ${supported.length}: ${item.name}`;
         try {
-            const buffer = fs.readFileSync(imagePath);
-            const mimeType = getMimeType(ext);
-            return `data:${mimeType};base64,${buffer.toString('base64')}`;
+            const result = await encodeItem(item);
+            // The selection changed while this item was encoding
+            if (token !== selectionToken || !result) return;
+            const imageData = result.dataUri;
+            batchEntries.push({ name: item.name, dataUri: imageData });
         } catch (error) {
-            throw new Error(`Failed to read image file: ${error.message}`);
+            if (token !== selectionToken) return;
+            console.error('Error processing image:', item.filePath, error);
+            failed.push(item.name);
         }
+        progress.value++;
     }
 
-    // For standard image types, use canvas
+    const skipped = items.length - supported.length;
+    status.textContent = `Converted ${batchEntries.length} of ${items.length} items` +
+        (skipped ? `, ${skipped} unsupported` : '') +
+        (failed.length ? `, failed: ${failed.join(', ')}` : '');
+    renderBatchOutput();
+}
+
+// Unique identifiers derived from item names, in the casing each format expects
+function uniqueNames(entries, toName, separator = '') {
+    const seen = new Map();
+    return entries.map(entry => {
+        const base = toName(entry.name) || 'image';
+        const count = (seen.get(base) || 0) + 1;
+        seen.set(base, count);
+        return count > 1 ? `${base}${separator}${count}` : base;
+    });
+}
+
+function toKebabCase(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function toCamelCase(name) {
+    const identifier = toKebabCase(name).replace(/-([a-z0-9])/g, (_, c) => c.toUpperCase());
+    // Identifiers can't start with a digit
+    return /^[0-9]/.test(identifier) ? `_${identifier}` : identifier;
+}
+
+function buildBatchArtifact(entries, format) {
+    switch (format) {
+        case 'css': {
+            const names = uniqueNames(entries, toKebabCase, '-');
+            return entries.map((entry, i) =>
+                `.icon-${names[i]} {\n    background-image: url("${entry.dataUri}");\n}`).join('\n\n');
+        }
+        case 'js':
+        case 'ts': {
+            const names = uniqueNames(entries, toCamelCase);
+            const type = format === 'ts' ? ': string' : '';
+            return entries.map((entry, i) =>
+                `export const ${names[i]}${type} = '${entry.dataUri}';`).join('\n');
+        }
+        case 'dts': {
+            // Same names as the JS module, so the two files can ship side by side
+            const names = uniqueNames(entries, toCamelCase);
+            return names.map(name => `export declare const ${name}: string;`).join('\n');
+        }
+        default: {
+            const map = {};
+            entries.forEach(entry => {
+                let key = entry.name;
+                for (let n = 2; key in map; n++) key = `${entry.name} (${n})`;
+                map[key] = entry.dataUri;
+            });
+            return JSON.stringify(map, null, 2);
+        }
+    }
+}
+
+function renderBatchOutput() {
+    const format = document.getElementById('batch-format').value;
+    document.getElementById('batch-output').value = batchEntries.length > 0 ?
+        buildBatchArtifact(batchEntries, format) : '';
+}
+
+function copyBatchToClipboard() {
+    const textarea = document.getElementById('batch-output');
+    textarea.select();
+    document.execCommand('copy');
+
+    // Visual feedback
+    const copyButton = document.getElementById('batch-copy-button');
+    const originalText = copyButton.textContent;
+    copyButton.textContent = '✅ Copied!';
+    setTimeout(() => {
+        copyButton.textContent = originalText;
+    }, 2000);
+}
+
+async function saveBatchOutput() {
+    const format = document.getElementById('batch-format').value;
+    const extension = format === 'dts' ? 'd.ts' : format;
+    const result = await eagle.dialog.showSaveDialog({
+        defaultPath: `images.${extension}`,
+        filters: [{ name: extension.toUpperCase(), extensions: [format === 'dts' ? 'ts' : format] }]
+    });
+    if (result.canceled || !result.filePath) return;
+
     try {
-        const image = await loadImage(imagePath);
-        const canvas = createCanvas(image.width, image.height);
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(image, 0, 0);
-        return canvas.toDataURL(getMimeType(ext));
+        fs.writeFileSync(result.filePath, document.getElementById('batch-output').value);
     } catch (error) {
-        // If canvas fails, fall back to direct reading
-        const buffer = fs.readFileSync(imagePath);
-        const mimeType = getMimeType(ext);
-        return `data:${mimeType};base64,${buffer.toString('base64')}`;
-    }
-}
-
-function getMimeType(ext) {
-    const mimeTypes = {
-        '.jpg': 'image/jpeg',
-        '.jpeg': 'image/jpeg',
-        '.png': 'image/png',
-        '.gif': 'image/gif',
-        '.webp': 'image/webp',
-        '.bmp': 'image/bmp',
-        '.ico': 'image/x-icon'
-    };
-    return mimeTypes[ext] || 'image/png';
+        eagle.dialog.showMessageBox({
+            type: 'error',
+            message: 'Failed to save file: ' + error.message
+        });
+    }
 }
 
 function copyToClipboard() {
@@ -172,6 +967,11 @@ function copyToClipboard() {
 }
 
 function resetUI() {
+    // Stop any conversion still running
+    selectionToken++;
+    const batchContainer = document.getElementById('batch-container');
+    batchContainer.classList.add('hidden');
+
     const headerMessage = document.getElementById('header-message');
     const converterContainer = document.querySelector('.converter-container');
     const preview = document.getElementById('image-preview');
@@ -180,10 +980,14 @@ function resetUI() {
 
     headerMessage.classList.add('hidden');
     converterContainer.classList.add('hidden');
+    converterContainer.classList.remove('loading');
     preview.classList.add('hidden');
     preview.src = '';
     textarea.value = '';
+    document.getElementById('metadata-table').innerHTML = '';
+    currentContext = null;
     sizeInfo.textContent = '';
+    sizeInfo.classList.remove('over-budget');
 }
 
 function formatFileSize(bytes) {
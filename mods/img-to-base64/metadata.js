@@ -0,0 +1,459 @@
+const zlib = require('zlib');
+
+// Byte size of each TIFF field type, by type id
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const EXIF_ORIENTATIONS = {
+    1: 'Normal',
+    2: 'Flipped horizontally',
+    3: 'Rotated 180°',
+    4: 'Flipped vertically',
+    5: 'Transposed',
+    6: 'Rotated 90° CW',
+    7: 'Transversed',
+    8: 'Rotated 90° CCW'
+};
+
+// Chunks and segments that carry EXIF, XMP, IPTC or free text, but no pixels or color
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+const WEBP_METADATA_CHUNKS = ['EXIF', 'XMP '];
+const JPEG_METADATA_MARKERS = [0xe1, 0xed, 0xfe]; // APP1 (EXIF/XMP), APP13 (IPTC), COM
+// Application extensions GIF players need; anything else (e.g. XMP) is dropped
+const GIF_KEPT_APPLICATIONS = ['NETSCAPE2.0', 'ANIMEXTS1.0'];
+
+/**
+ * Read what an image file says about itself: pixel dimensions, bit depth,
+ * alpha, embedded color profile, EXIF (camera, GPS, orientation) and frame
+ * count. Fields the format doesn't carry are left undefined.
+ */
+function inspectImage(buffer) {
+    const parsers = [
+        [isPng, inspectPng],
+        [isJpeg, inspectJpeg],
+        [isGif, inspectGif],
+        [isWebp, inspectWebp],
+        [b => b.toString('ascii', 0, 2) === 'BM', inspectBmp],
+        [b => b.length > 6 && b.readUInt32BE(0) === 0x00000100, inspectIco]
+    ];
+    const match = parsers.find(([test]) => test(buffer));
+    if (!match) {
+        return { format: 'Unknown' };
+    }
+    try {
+        return match[1](buffer);
+    } catch (error) {
+        // Truncated or malformed files still report the format they claim to be
+        console.error('Failed to read image metadata:', error);
+        return { format: match[1].name.replace('inspect', '').toUpperCase() };
+    }
+}
+
+/**
+ * Return a copy of the file without EXIF, XMP, IPTC and text metadata. Pixels,
+ * color profiles and animation are left alone; unknown formats come back as-is.
+ */
+function stripMetadata(buffer) {
+    if (isPng(buffer)) return stripPng(buffer);
+    if (isJpeg(buffer)) return stripJpeg(buffer);
+    if (isGif(buffer)) return stripGif(buffer);
+    if (isWebp(buffer)) return stripWebp(buffer);
+    return buffer;
+}
+
+// EXIF orientation (1-8) embedded in the file, 1 when there is none
+function readExifOrientation(buffer) {
+    const info = inspectImage(buffer);
+    return (info.exif && info.exif.orientation) || 1;
+}
+
+function isPng(buffer) {
+    return buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504e47;
+}
+
+function isJpeg(buffer) {
+    return buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8;
+}
+
+function isGif(buffer) {
+    return buffer.toString('ascii', 0, 4) === 'GIF8';
+}
+
+function isWebp(buffer) {
+    return buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP';
+}
+
+function readPngChunks(buffer) {
+    const chunks = [];
+    let offset = 8;
+    while (offset + 12 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        chunks.push({ type, start: offset, end: offset + 12 + length, data: buffer.subarray(offset + 8, offset + 8 + length) });
+        offset += 12 + length;
+        if (type === 'IEND') break;
+    }
+    return chunks;
+}
+
+function inspectPng(buffer) {
+    const info = { format: 'PNG', frames: 1 };
+    const colorTypes = { 0: 'Grayscale', 2: 'RGB', 3: 'Palette', 4: 'Grayscale + alpha', 6: 'RGBA' };
+    for (const { type, data } of readPngChunks(buffer)) {
+        if (type === 'IHDR') {
+            info.width = data.readUInt32BE(0);
+            info.height = data.readUInt32BE(4);
+            info.bitDepth = data[8];
+            info.colorType = colorTypes[data[9]];
+            info.alpha = data[9] === 4 || data[9] === 6;
+        } else if (type === 'tRNS') {
+            info.alpha = true;
+        } else if (type === 'iCCP') {
+            // Profile name, NUL, compression method, then the zlib-compressed profile
+            const nameEnd = data.indexOf(0);
+            try {
+                info.colorProfile = readIccDescription(zlib.inflateSync(data.subarray(nameEnd + 2)));
+            } catch (error) {
+                // Fall back to the name below
+            }
+            info.colorProfile = info.colorProfile || data.toString('latin1', 0, nameEnd);
+        } else if (type === 'sRGB') {
+            info.colorProfile = info.colorProfile || 'sRGB';
+        } else if (type === 'eXIf') {
+            info.exif = readExif(data);
+        } else if (type === 'acTL') {
+            info.frames = data.readUInt32BE(0);
+        }
+    }
+    return info;
+}
+
+function stripPng(buffer) {
+    const chunks = readPngChunks(buffer);
+    const kept = chunks.filter(chunk => !PNG_METADATA_CHUNKS.includes(chunk.type));
+    if (kept.length === chunks.length) return buffer;
+    return Buffer.concat([buffer.subarray(0, 8), ...kept.map(chunk => buffer.subarray(chunk.start, chunk.end))]);
+}
+
+// Segments up to the start of scan; `end` of the last entry is where entropy-coded data begins
+function readJpegSegments(buffer) {
+    const segments = [];
+    let offset = 2;
+    while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+        const marker = buffer[offset + 1];
+        // Fill bytes and standalone markers carry no length
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+            offset += 2;
+            continue;
+        }
+        const length = buffer.readUInt16BE(offset + 2);
+        segments.push({ marker, start: offset, end: offset + 2 + length, data: buffer.subarray(offset + 4, offset + 2 + length) });
+        offset += 2 + length;
+        if (marker === 0xda) break;
+    }
+    return segments;
+}
+
+function inspectJpeg(buffer) {
+    const info = { format: 'JPEG', alpha: false, frames: 1 };
+    const iccChunks = [];
+    for (const { marker, data } of readJpegSegments(buffer)) {
+        if (marker === 0xe1 && data.toString('ascii', 0, 6) === 'Exif\0\0') {
+            info.exif = readExif(data.subarray(6));
+        } else if (marker === 0xe2 && data.toString('ascii', 0, 12) === 'ICC_PROFILE\0') {
+            // Large profiles are split over several APP2 segments, numbered from 1
+            iccChunks[data[12] - 1] = data.subarray(14);
+        } else if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            info.bitDepth = data[0];
+            info.height = data.readUInt16BE(1);
+            info.width = data.readUInt16BE(3);
+            info.colorType = { 1: 'Grayscale', 3: 'YCbCr', 4: 'CMYK' }[data[5]] || `${data[5]} channels`;
+        }
+    }
+    if (iccChunks.length) {
+        info.colorProfile = readIccDescription(Buffer.concat(iccChunks.filter(Boolean)));
+    }
+    return info;
+}
+
+function stripJpeg(buffer) {
+    const segments = readJpegSegments(buffer);
+    const scan = segments[segments.length - 1];
+    // Without a start of scan we can't tell where the image data is, so leave the file alone
+    if (!scan || scan.marker !== 0xda) return buffer;
+    const kept = segments.filter(segment => !JPEG_METADATA_MARKERS.includes(segment.marker));
+    if (kept.length === segments.length) return buffer;
+    return Buffer.concat([
+        buffer.subarray(0, 2),
+        ...kept.map(segment => buffer.subarray(segment.start, segment.end)),
+        buffer.subarray(scan.end)
+    ]);
+}
+
+// Top-level GIF blocks after the header and global color table
+function readGifBlocks(buffer) {
+    const packed = buffer[10];
+    let offset = 13 + (packed & 0x80 ? 3 * 2 ** ((packed & 7) + 1) : 0);
+    const blocks = [{ type: 'header', start: 0, end: offset }];
+    const skipSubBlocks = position => {
+        while (position < buffer.length && buffer[position]) position += buffer[position] + 1;
+        return position + 1;
+    };
+    while (offset < buffer.length) {
+        const start = offset;
+        const introducer = buffer[offset];
+        if (introducer === 0x21) {
+            const label = buffer[offset + 1];
+            const end = skipSubBlocks(offset + 2);
+            blocks.push({ type: 'extension', label, start, end, data: buffer.subarray(offset + 2, end) });
+            offset = end;
+        } else if (introducer === 0x2c) {
+            const imagePacked = buffer[offset + 9];
+            const localTable = imagePacked & 0x80 ? 3 * 2 ** ((imagePacked & 7) + 1) : 0;
+            // Descriptor, local color table, LZW minimum code size, then the data sub-blocks
+            const end = skipSubBlocks(offset + 10 + localTable + 1);
+            blocks.push({ type: 'image', start, end });
+            offset = end;
+        } else {
+            blocks.push({ type: 'trailer', start, end: buffer.length });
+            break;
+        }
+    }
+    return blocks;
+}
+
+function inspectGif(buffer) {
+    const info = {
+        format: 'GIF',
+        width: buffer.readUInt16LE(6),
+        height: buffer.readUInt16LE(8),
+        bitDepth: ((buffer[10] >> 4) & 7) + 1,
+        colorType: 'Palette',
+        alpha: false,
+        frames: 0
+    };
+    for (const block of readGifBlocks(buffer)) {
+        if (block.type === 'image') {
+            info.frames++;
+        } else if (block.type === 'extension' && block.label === 0xf9) {
+            // Graphic control extension: block size, then packed flags with the transparency bit
+            info.alpha = info.alpha || !!(block.data[1] & 1);
+        }
+    }
+    return info;
+}
+
+function stripGif(buffer) {
+    const blocks = readGifBlocks(buffer);
+    const kept = blocks.filter(block => {
+        if (block.type !== 'extension') return true;
+        if (block.label === 0xfe) return false;
+        if (block.label !== 0xff) return true;
+        return GIF_KEPT_APPLICATIONS.includes(block.data.toString('ascii', 1, 12));
+    });
+    if (kept.length === blocks.length) return buffer;
+    return Buffer.concat(kept.map(block => buffer.subarray(block.start, block.end)));
+}
+
+function readWebpChunks(buffer) {
+    const chunks = [];
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const type = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        // Chunks are padded to an even length
+        const end = Math.min(offset + 8 + size + (size & 1), buffer.length);
+        chunks.push({ type, start: offset, end, data: buffer.subarray(offset + 8, offset + 8 + size) });
+        offset = end;
+    }
+    return chunks;
+}
+
+function inspectWebp(buffer) {
+    const info = { format: 'WebP', bitDepth: 8, alpha: false, frames: 1 };
+    let animationFrames = 0;
+    for (const { type, data } of readWebpChunks(buffer)) {
+        if (type === 'VP8X') {
+            info.alpha = !!(data[0] & 0x10);
+            info.width = data.readUIntLE(4, 3) + 1;
+            info.height = data.readUIntLE(7, 3) + 1;
+        } else if (type === 'VP8 ' && !info.width) {
+            info.colorType = 'Lossy';
+            info.width = data.readUInt16LE(6) & 0x3fff;
+            info.height = data.readUInt16LE(8) & 0x3fff;
+        } else if (type === 'VP8L') {
+            const bits = data.readUInt32LE(1);
+            info.colorType = 'Lossless';
+            if (!info.width) {
+                info.width = (bits & 0x3fff) + 1;
+                info.height = ((bits >> 14) & 0x3fff) + 1;
+            }
+            info.alpha = info.alpha || !!((bits >> 28) & 1);
+        } else if (type === 'ALPH') {
+            info.alpha = true;
+        } else if (type === 'ICCP') {
+            info.colorProfile = readIccDescription(data);
+        } else if (type === 'EXIF') {
+            // Some writers keep the JPEG-style "Exif\0\0" prefix
+            info.exif = readExif(data.toString('ascii', 0, 6) === 'Exif\0\0' ? data.subarray(6) : data);
+        } else if (type === 'ANMF') {
+            animationFrames++;
+        }
+    }
+    info.frames = animationFrames || 1;
+    return info;
+}
+
+function stripWebp(buffer) {
+    const chunks = readWebpChunks(buffer);
+    const kept = chunks.filter(chunk => !WEBP_METADATA_CHUNKS.includes(chunk.type));
+    if (kept.length === chunks.length) return buffer;
+
+    const body = Buffer.concat(kept.map(chunk => Buffer.from(buffer.subarray(chunk.start, chunk.end))));
+    const extended = kept.find(chunk => chunk.type === 'VP8X');
+    if (extended) {
+        // Clear the EXIF (0x08) and XMP (0x04) flags now that those chunks are gone
+        const flagsOffset = kept.slice(0, kept.indexOf(extended))
+            .reduce((offset, chunk) => offset + chunk.end - chunk.start, 0) + 8;
+        body[flagsOffset] &= ~0x0c;
+    }
+    const header = Buffer.from(buffer.subarray(0, 12));
+    header.writeUInt32LE(body.length + 4, 4);
+    return Buffer.concat([header, body]);
+}
+
+function inspectBmp(buffer) {
+    const bitsPerPixel = buffer.readUInt16LE(28);
+    return {
+        format: 'BMP',
+        width: buffer.readInt32LE(18),
+        height: Math.abs(buffer.readInt32LE(22)),
+        bitDepth: bitsPerPixel,
+        alpha: bitsPerPixel === 32,
+        frames: 1
+    };
+}
+
+function inspectIco(buffer) {
+    const count = buffer.readUInt16LE(4);
+    // Report the largest of the embedded images; 0 means 256 in the directory
+    let largest = null;
+    for (let i = 0; i < count && 6 + (i + 1) * 16 <= buffer.length; i++) {
+        const entry = 6 + i * 16;
+        const image = {
+            width: buffer[entry] || 256,
+            height: buffer[entry + 1] || 256,
+            bitDepth: buffer.readUInt16LE(entry + 6)
+        };
+        if (!largest || image.width * image.height > largest.width * largest.height) {
+            largest = image;
+        }
+    }
+    return { format: 'ICO', ...largest, alpha: !!largest && largest.bitDepth === 32, frames: count };
+}
+
+// Description tag of an ICC profile: 'desc' in v2 profiles, 'mluc' in v4
+function readIccDescription(icc) {
+    if (icc.length < 132) return undefined;
+    const tagCount = icc.readUInt32BE(128);
+    for (let i = 0; i < tagCount; i++) {
+        const entry = 132 + i * 12;
+        if (entry + 12 > icc.length) break;
+        if (icc.toString('ascii', entry, entry + 4) !== 'desc') continue;
+
+        const offset = icc.readUInt32BE(entry + 4);
+        const type = icc.toString('ascii', offset, offset + 4);
+        if (type === 'desc') {
+            const length = icc.readUInt32BE(offset + 8);
+            return icc.toString('latin1', offset + 12, offset + 12 + length).replace(/\0+$/, '');
+        }
+        if (type === 'mluc') {
+            // First record: language, country, byte length, offset of a UTF-16BE string
+            const length = icc.readUInt32BE(offset + 20);
+            const start = offset + icc.readUInt32BE(offset + 24);
+            const text = Buffer.from(icc.subarray(start, start + length));
+            return text.swap16().toString('utf16le').replace(/\0+$/, '');
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Parse the EXIF fields the inspector shows from a TIFF-structured block:
+ * camera, lens, capture date, software, orientation and GPS position.
+ */
+function readExif(tiff) {
+    const little = tiff.toString('ascii', 0, 2) === 'II';
+    const u16 = offset => little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+    const u32 = offset => little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+    const s32 = offset => little ? tiff.readInt32LE(offset) : tiff.readInt32BE(offset);
+
+    const readValue = (type, offset, count) => {
+        if (type === 2) {
+            return tiff.toString('latin1', offset, offset + count).replace(/\0+$/, '').trim();
+        }
+        const values = [];
+        for (let i = 0; i < count; i++) {
+            const position = offset + i * TIFF_TYPE_SIZES[type];
+            if (type === 1 || type === 7) values.push(tiff[position]);
+            else if (type === 3) values.push(u16(position));
+            else if (type === 4) values.push(u32(position));
+            else if (type === 9) values.push(s32(position));
+            else if (type === 5) values.push(u32(position) / (u32(position + 4) || 1));
+            else if (type === 10) values.push(s32(position) / (s32(position + 4) || 1));
+        }
+        return count === 1 ? values[0] : values;
+    };
+
+    const readIfd = offset => {
+        const tags = {};
+        if (!offset || offset + 2 > tiff.length) return tags;
+        const count = u16(offset);
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            if (entry + 12 > tiff.length) break;
+            const type = u16(entry + 2);
+            const valueCount = u32(entry + 4);
+            const size = TIFF_TYPE_SIZES[type];
+            if (!size) continue;
+            const valueOffset = size * valueCount > 4 ? u32(entry + 8) : entry + 8;
+            if (valueOffset + size * valueCount > tiff.length) continue;
+            tags[u16(entry)] = readValue(type, valueOffset, valueCount);
+        }
+        return tags;
+    };
+
+    const ifd0 = readIfd(u32(4));
+    const exifIfd = readIfd(ifd0[0x8769]);
+    const gpsIfd = readIfd(ifd0[0x8825]);
+
+    const toDegrees = (dms, ref) => {
+        if (!Array.isArray(dms) || dms.length < 3) return undefined;
+        const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+        return ref === 'S' || ref === 'W' ? -degrees : degrees;
+    };
+    const latitude = toDegrees(gpsIfd[2], gpsIfd[1]);
+    const longitude = toDegrees(gpsIfd[4], gpsIfd[3]);
+
+    return {
+        make: ifd0[0x010f],
+        model: ifd0[0x0110],
+        lens: exifIfd[0xa434],
+        dateTaken: exifIfd[0x9003] || ifd0[0x0132],
+        software: ifd0[0x0131],
+        orientation: ifd0[0x0112],
+        gps: latitude !== undefined && longitude !== undefined
+            ? { latitude, longitude, altitude: typeof gpsIfd[6] === 'number' ? gpsIfd[6] : undefined }
+            : undefined
+    };
+}
+
+module.exports = {
+    EXIF_ORIENTATIONS,
+    inspectImage,
+    stripMetadata,
+    readExifOrientation
+};
\ No newline at end of file
@@ -0,0 +1,128 @@
+// Namespaces written by vector editors that browsers ignore
+const SVG_EDITOR_NAMESPACES = ['inkscape', 'sodipodi', 'sketch', 'serif', 'rdf', 'cc', 'dc'];
+
+// Strip what editors leave behind: prolog, comments, metadata, editor-namespaced
+// elements and attributes, and defs nothing refers to
+function cleanSvg(svg) {
+    const namespaces = SVG_EDITOR_NAMESPACES.join('|');
+    let cleaned = svg
+        .replace(/^\uFEFF/, '')
+        .replace(/<\?xml[\s\S]*?\?>/g, '')
+        // A DOCTYPE with an internal subset may declare entities the document uses
+        .replace(/<!DOCTYPE[^[>]*>/gi, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<metadata\b[^>]*\/>|<metadata\b[\s\S]*?<\/metadata>/g, '')
+        .replace(new RegExp(`<(${namespaces}):([\\w-]+)\\b[^>]*?(?:\\/>|>[\\s\\S]*?<\\/\\1:\\2>)`, 'g'), '')
+        .replace(new RegExp(`\\s(?:${namespaces}):[\\w-]+\\s*=\\s*(?:"[^"]*"|'[^']*')`, 'g'), '')
+        .replace(new RegExp(`\\sxmlns:(?:${namespaces})\\s*=\\s*(?:"[^"]*"|'[^']*')`, 'g'), '');
+
+    // Removing one def can orphan another (a gradient only used by a removed gradient)
+    let removed = true;
+    while (removed) {
+        removed = false;
+        for (const child of findDefsChildren(cleaned)) {
+            if (!child.id || isSvgIdReferenced(cleaned, child.id, child.start, child.end)) continue;
+            cleaned = cleaned.slice(0, child.start) + cleaned.slice(child.end);
+            removed = true;
+            break;
+        }
+    }
+    return cleaned.replace(/<defs\b[^>]*\/>|<defs\b[^>]*>\s*<\/defs>/g, '');
+}
+
+// Direct children of every <defs> element, with their ids and source ranges
+function findDefsChildren(svg) {
+    const children = [];
+    const tagPattern = /<(\/?)([\w:-]+)\b[^>]*?(\/?)>/g;
+    let defsDepth = 0;
+    let depth = 0;
+    let current = null;
+    let match;
+    while ((match = tagPattern.exec(svg))) {
+        const [tag, closing, name, selfClosing] = match;
+        if (!defsDepth) {
+            if (name === 'defs' && !closing && !selfClosing) defsDepth = 1;
+            continue;
+        }
+        if (closing) {
+            if (depth === 0) {
+                // The </defs> itself
+                defsDepth = 0;
+                continue;
+            }
+            depth--;
+            if (depth === 0 && current) {
+                current.end = tagPattern.lastIndex;
+                children.push(current);
+                current = null;
+            }
+            continue;
+        }
+        if (depth === 0) {
+            const id = (tag.match(/\sid\s*=\s*(["'])(.*?)\1/) || [])[2];
+            current = { id, start: match.index };
+            if (selfClosing) {
+                current.end = tagPattern.lastIndex;
+                children.push(current);
+                current = null;
+                continue;
+            }
+        }
+        if (!selfClosing) depth++;
+    }
+    return children;
+}
+
+// Whether `#id` is used outside the element's own range, via url(#id) or href="#id"
+function isSvgIdReferenced(svg, id, start, end) {
+    const escaped = id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`#${escaped}(?![\\w.:-])`, 'g');
+    let match;
+    while ((match = pattern.exec(svg))) {
+        if (match.index < start || match.index >= end) return true;
+    }
+    return false;
+}
+
+function minifySvg(svg) {
+    return svg
+        .replace(/>\s+</g, '><')
+        .replace(/\s+/g, ' ')
+        .replace(/\s*(\/?>)/g, '$1')
+        .trim();
+}
+
+// Intrinsic size from width/height (in px or unitless) or the viewBox
+function getSvgSize(svg) {
+    const root = (svg.match(/<svg\b[^>]*>/) || [''])[0];
+    const attribute = name => (root.match(new RegExp(`\\s${name}\\s*=\\s*(["'])(.*?)\\1`)) || [])[2];
+    const length = value => /^\s*[\d.]+\s*(px)?\s*$/.test(value || '') ? parseFloat(value) : null;
+    const viewBox = (attribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+    const hasViewBox = viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0;
+
+    let width = length(attribute('width'));
+    let height = length(attribute('height'));
+    if (hasViewBox) {
+        // Keep the viewBox aspect ratio when only one dimension is given
+        if (width && !height) height = width * viewBox[3] / viewBox[2];
+        if (height && !width) width = height * viewBox[2] / viewBox[3];
+        width = width || viewBox[2];
+        height = height || viewBox[3];
+    }
+    return width && height ? { width: Math.round(width), height: Math.round(height) } : null;
+}
+
+// URL-encoded UTF-8 is usually smaller than base64 for markup; only characters
+// that are unsafe in a url("...") or src="..." are escaped
+function svgToDataUri(svg) {
+    const quoted = svg.includes("'") ? svg : svg.replace(/"/g, "'");
+    const encoded = quoted.replace(/["%#<>?[\\\]^`{|}]|[^\x20-\x7e]/gu, encodeURIComponent);
+    return `data:image/svg+xml;charset=utf-8,${encoded}`;
+}
+
+module.exports = {
+    cleanSvg,
+    getSvgSize,
+    minifySvg,
+    svgToDataUri
+};
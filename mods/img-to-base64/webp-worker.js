@@ -0,0 +1,12 @@
+// Browser Worker for the encoder process: node-canvas can't write WebP, so the
+// pixels of each WebP encode are drawn on an OffscreenCanvas here instead
+self.onmessage = async ({ data: { webpId, width, height, pixels, quality } }) => {
+    try {
+        const canvas = new OffscreenCanvas(width, height);
+        canvas.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(pixels), width, height), 0, 0);
+        const blob = await canvas.convertToBlob({ type: 'image/webp', quality });
+        self.postMessage({ webpId, dataUri: new FileReaderSync().readAsDataURL(blob) });
+    } catch (error) {
+        self.postMessage({ webpId, error: error.message });
+    }
+};
@@ -1,7 +1,101 @@
 const { Py } = require('@eagle-cooler/utils');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { spawn } = require('child_process');
+const crypto = require('crypto');
+const { spawn, execFile } = require('child_process');
+const scripts = require('./scripts');
+
+// Characters of shell output kept on screen; older output is dropped first
+const MAX_SHELL_OUTPUT = 200000;
+// Commands remembered per environment
+const MAX_SHELL_HISTORY = 500;
+// Holds eagle.py, the helper module preloaded into the shell
+const BRIDGE_DIR = path.join(__dirname, 'python');
+// Library and selection snapshot read by eagle.py; kept current while the mod is mounted
+const CONTEXT_FILE = path.join(os.homedir(), '.eaglecooler', 'pythonenv', 'context.json');
+// pip runs non-interactively and without progress bars, which don't render in a log
+const PIP_ENV = {
+    PIP_DISABLE_PIP_VERSION_CHECK: '1',
+    PIP_NO_INPUT: '1',
+    PIP_PROGRESS_BAR: 'off',
+    PYTHONIOENCODING: 'utf-8'
+};
+
+// Run before the prompt appears. `_eagle_run_block` executes a multi-line block
+// in one go (the plain REPL ends a block at its first blank line) and echoes a
+// trailing expression like the REPL would. On Windows, where SIGINT would kill
+// the process, interrupts arrive by touching the file named in the environment.
+const SHELL_BOOTSTRAP = `
+import sys as _sys
+print('Python %s on %s' % (_sys.version, _sys.platform))
+try:
+    import eagle
+    print('eagle module loaded: eagle.selected(), eagle.library_path(), eagle.api')
+except Exception as _error:
+    print('eagle module unavailable: %s' % _error)
+
+def _eagle_run_block(source):
+    import ast
+    tree = ast.parse(source, '<shell>', 'exec')
+    last = tree.body.pop() if tree.body and isinstance(tree.body[-1], ast.Expr) else None
+    exec(compile(tree, '<shell>', 'exec'), globals())
+    if last is not None:
+        _sys.displayhook(eval(compile(ast.Expression(last.value), '<shell>', 'eval'), globals()))
+
+def _eagle_watch_interrupts(trigger):
+    import os, time, _thread
+    while True:
+        time.sleep(0.1)
+        if os.path.exists(trigger):
+            try:
+                os.remove(trigger)
+            except OSError:
+                pass
+            _thread.interrupt_main()
+
+def _eagle_start_interrupt_watcher():
+    import os, threading
+    trigger = os.environ.get('EAGLE_SHELL_INTERRUPT_FILE')
+    if trigger:
+        threading.Thread(target=_eagle_watch_interrupts, args=(trigger,), daemon=True).start()
+
+_eagle_start_interrupt_watcher()
+`;
+
+/**
+ * Write the current library path and selection for eagle.py. Written to a
+ * temp file first so Python never reads a half-written snapshot.
+ */
+async function writeEagleContext(items, file = CONTEXT_FILE) {
+    const context = {
+        libraryPath: eagle.library.path,
+        selected: (items || []).map(item => ({
+            id: item.id,
+            name: item.name,
+            ext: item.ext,
+            filePath: item.filePath,
+            url: item.url,
+            tags: item.tags,
+            annotation: item.annotation,
+            folders: item.folders
+        })),
+        updatedAt: Date.now()
+    };
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(tempFile, JSON.stringify(context, null, 2));
+    await fs.promises.rename(tempFile, file);
+}
+
+// Environment that lets Python `import eagle` and read the given context
+function bridgeEnv(contextFile = CONTEXT_FILE) {
+    return {
+        ...process.env,
+        PYTHONPATH: [BRIDGE_DIR, process.env.PYTHONPATH].filter(Boolean).join(path.delimiter),
+        EAGLE_CONTEXT_FILE: contextFile
+    };
+}
 
 class PythonEnvironmentManager {
     constructor() {
@@ -11,10 +105,20 @@ class PythonEnvironmentManager {
         this.sourceType = 'version'; // 'version', 'url', or 'local'
         this.isEnvSet = false;
         this.isLoading = false;
-        this.shellOutput = '';
+        this.outputLength = 0;
         this.subscriber = null;
         this.availableVersions = [];
         this.cacheFile = path.join(eagle.os.homedir(), '.eaglecooler', 'pythonenv', 'cache', 'versions.json');
+        this.usageFile = path.join(eagle.os.homedir(), '.eaglecooler', 'pythonenv', 'cache', 'usage.json');
+        // Layout used by Py.Setup: one global env plus a venv per plugin id
+        this.envRoot = path.join(eagle.os.homedir(), '.eaglecooler', 'pythonenv');
+        this.historyDir = path.join(eagle.os.homedir(), '.eaglecooler', 'pythonenv', 'history');
+        this.history = [];
+        this.historyFile = null;
+        // Position while browsing history; history.length means the line being edited
+        this.historyIndex = 0;
+        this.historyDraft = '';
+        this.interruptFile = null;
     }
 
     async ensureCacheDirectory() {
@@ -148,21 +252,31 @@ class PythonEnvironmentManager {
             this.subscriber = null;
         }
 
-        // If it's a local environment, just clear the path
+        // A local environment belongs to the user, so only the path is cleared
         if (this.sourceType === 'local') {
+            const { response } = await eagle.dialog.showMessageBox({
+                type: 'question',
+                message: 'Stop using this local Python environment?',
+                detail: `Nothing is deleted: ${this.localPath || 'the selected folder'} stays on disk, ` +
+                    'and only this mod\'s setting pointing to it is cleared.',
+                buttons: ['Reset', 'Cancel']
+            });
+            if (response !== 0) return false;
             this.localPath = '';
             this.isEnvSet = false;
             console.log('Reset local environment');
             return true;
         }
 
-        // For version or URL, attempt to remove the environment
+        // For version or URL, remove the downloaded global environment
         try {
-            // TODO: Implement environment removal in Setup module
-            // For now, just reset the state
-            this.isEnvSet = false;
-            console.log('Reset environment state');
-            return true;
+            const environments = await this.listEnvironments();
+            const globalEnv = environments.find(env => env.id === 'global');
+            if (!globalEnv) {
+                this.isEnvSet = false;
+                return true;
+            }
+            return await this.deleteEnvironment(globalEnv);
         } catch (error) {
             eagle.dialog.showMessageBox({
                 type: 'error',
@@ -172,6 +286,323 @@ class PythonEnvironmentManager {
         }
     }
 
+    // The interpreter Py would use for an environment directory, or null when it has none.
+    // resolve_python_env falls back to other environments, so only a path inside envDir counts.
+    async findPythonExecutable(envDir) {
+        const pythonPath = await Py.resolve_python_env({ localPath: envDir });
+        return pythonPath && path.resolve(pythonPath).startsWith(path.resolve(envDir) + path.sep) ? pythonPath : null;
+    }
+
+    getPythonVersion(pythonPath) {
+        return new Promise(resolve => {
+            execFile(pythonPath, ['--version'], { timeout: 10000, windowsHide: true }, (error, stdout, stderr) => {
+                // Python 2 printed its version to stderr
+                const output = `${stdout || ''}${stderr || ''}`.trim();
+                resolve(error || !output ? null : output.replace(/^Python\s+/i, ''));
+            });
+        });
+    }
+
+    async getDirectorySize(dir) {
+        let total = 0;
+        let entries;
+        try {
+            entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            return 0;
+        }
+        for (const entry of entries) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                total += await this.getDirectorySize(entryPath);
+            } else if (entry.isFile()) {
+                try {
+                    total += (await fs.promises.stat(entryPath)).size;
+                } catch (error) {
+                    // Removed while we were counting
+                }
+            }
+        }
+        return total;
+    }
+
+    async loadUsage() {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.usageFile, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // Remember when an interpreter was last started from here, keyed by its path
+    async recordUsage(pythonPath) {
+        try {
+            const usage = await this.loadUsage();
+            usage[path.resolve(pythonPath)] = Date.now();
+            await this.ensureCacheDirectory();
+            await fs.promises.writeFile(this.usageFile, JSON.stringify(usage, null, 2));
+        } catch (error) {
+            console.error('Failed to record environment usage:', error);
+        }
+    }
+
+    /**
+     * List the global environment and every per-plugin venv that exists on disk,
+     * with Python version, disk usage and last use. Last use is the later of when
+     * the shell last started it and the executable's access time, since other
+     * plugins run these interpreters without telling us.
+     */
+    async listEnvironments() {
+        const candidates = [{ id: 'global', label: 'Global', dir: path.join(this.envRoot, 'env') }];
+        try {
+            const plugins = await fs.promises.readdir(path.join(this.envRoot, 'perPlugin'), { withFileTypes: true });
+            for (const entry of plugins.filter(entry => entry.isDirectory())) {
+                candidates.push({ id: entry.name, label: entry.name, dir: path.join(this.envRoot, 'perPlugin', entry.name) });
+            }
+        } catch (error) {
+            // No plugin environments yet
+        }
+
+        const usage = await this.loadUsage();
+        let activePath = null;
+        try {
+            activePath = await Py.resolve_python_env();
+        } catch (error) {
+            console.error('Failed to resolve Python environment:', error);
+        }
+
+        const environments = [];
+        for (const candidate of candidates) {
+            if (!fs.existsSync(candidate.dir)) continue;
+            const pythonPath = await this.findPythonExecutable(candidate.dir);
+            let accessed = 0;
+            if (pythonPath) {
+                try {
+                    accessed = (await fs.promises.stat(pythonPath)).atimeMs;
+                } catch (error) {
+                    // Fall back to recorded usage only
+                }
+            }
+            environments.push({
+                ...candidate,
+                pythonPath,
+                version: pythonPath ? await this.getPythonVersion(pythonPath) : null,
+                size: await this.getDirectorySize(candidate.dir),
+                lastUsed: Math.max(accessed, (pythonPath && usage[path.resolve(pythonPath)]) || 0) || null,
+                active: !!pythonPath && !!activePath && path.resolve(activePath) === path.resolve(pythonPath)
+            });
+        }
+        return environments;
+    }
+
+    /**
+     * Delete an environment directory after confirmation, then check what
+     * Py.resolve_python_env falls back to. Returns true when it was deleted.
+     */
+    async deleteEnvironment(env) {
+        const { response } = await eagle.dialog.showMessageBox({
+            type: 'warning',
+            message: `Delete the ${env.label} Python environment?`,
+            detail: `${env.dir} will be permanently removed${env.active ? '. It is the environment currently in use.' : '.'}`,
+            buttons: ['Cancel', 'Delete'],
+            defaultId: 0,
+            cancelId: 0
+        });
+        if (response !== 1) return false;
+
+        // The shell holds the interpreter open, which blocks deletion on Windows
+        if (this.pythonProcess && env.pythonPath) {
+            this.cleanup();
+            this.updateShellControls();
+        }
+
+        try {
+            await fs.promises.rm(env.dir, { recursive: true, force: true, maxRetries: 3 });
+        } catch (error) {
+            console.error('Failed to delete environment:', error);
+            eagle.dialog.showMessageBox({
+                type: 'error',
+                message: 'Failed to delete environment: ' + error.message
+            });
+            return false;
+        }
+
+        const usage = await this.loadUsage();
+        if (env.pythonPath && usage[path.resolve(env.pythonPath)]) {
+            delete usage[path.resolve(env.pythonPath)];
+            await fs.promises.writeFile(this.usageFile, JSON.stringify(usage, null, 2)).catch(() => {});
+        }
+
+        // Verify the fallback: nothing may still resolve into the deleted directory
+        const resolved = await Py.resolve_python_env();
+        const dir = path.resolve(env.dir) + path.sep;
+        if (resolved && path.resolve(resolved).startsWith(dir)) {
+            eagle.dialog.showMessageBox({
+                type: 'error',
+                message: `Python still resolves to the deleted environment: ${resolved}`
+            });
+            return false;
+        }
+        this.isEnvSet = !!resolved && fs.existsSync(resolved);
+        eagle.dialog.showMessageBox({
+            type: 'info',
+            message: resolved
+                ? `Deleted ${env.label}. Python now resolves to ${resolved}.`
+                : `Deleted ${env.label}. No Python environment remains; set one up to use the shell.`
+        });
+        return true;
+    }
+
+    /**
+     * Run `python -m pip` in the active environment, streaming its output to
+     * onOutput. Resolves with the exit code.
+     *
+     * This deliberately doesn't go through the utils helper (Py.pip_install;
+     * there is no Py.Setup.pip_install). It runs pip with execSync and inherited
+     * stdio, which blocks the UI and leaves nothing to stream, and it sets up an
+     * environment when none exists. Streaming needs an async spawn.
+     */
+    async runPip(args, onOutput = () => {}) {
+        if (this.pipProcess) {
+            throw new Error('Another pip command is still running');
+        }
+        const pythonPath = await Py.resolve_python_env();
+        if (!pythonPath) {
+            throw new Error('No Python environment is set up');
+        }
+
+        return new Promise((resolve, reject) => {
+            const child = spawn(pythonPath, ['-m', 'pip', ...args], {
+                env: { ...process.env, ...PIP_ENV },
+                windowsHide: true
+            });
+            this.pipProcess = child;
+            child.stdout.setEncoding('utf8');
+            child.stderr.setEncoding('utf8');
+            child.stdout.on('data', onOutput);
+            child.stderr.on('data', onOutput);
+            child.on('error', error => {
+                this.pipProcess = null;
+                reject(error);
+            });
+            child.on('close', code => {
+                this.pipProcess = null;
+                resolve(code);
+            });
+        });
+    }
+
+    // Run pip and return its stdout, failing with its stderr when it exits non-zero
+    async capturePip(args) {
+        let stdout = '';
+        let stderr = '';
+        const pythonPath = await Py.resolve_python_env();
+        if (!pythonPath) {
+            throw new Error('No Python environment is set up');
+        }
+        return new Promise((resolve, reject) => {
+            const child = spawn(pythonPath, ['-m', 'pip', ...args], {
+                env: { ...process.env, ...PIP_ENV },
+                windowsHide: true
+            });
+            child.stdout.on('data', data => { stdout += data; });
+            child.stderr.on('data', data => { stderr += data; });
+            child.on('error', reject);
+            child.on('close', code => {
+                if (code === 0) {
+                    resolve(stdout);
+                } else {
+                    reject(new Error(stderr.trim().split('\n').pop() || `pip exited with code ${code}`));
+                }
+            });
+        });
+    }
+
+    async listPackages() {
+        return JSON.parse(await this.capturePip(['list', '--format=json']));
+    }
+
+    // Map of package name (lowercased) to the newest version on the index
+    async listOutdatedPackages() {
+        const outdated = JSON.parse(await this.capturePip(['list', '--outdated', '--format=json']));
+        return Object.fromEntries(outdated.map(pkg => [pkg.name.toLowerCase(), pkg.latest_version]));
+    }
+
+    // PyPI has no search API any more, so look the exact name up instead
+    async lookupPackage(name) {
+        const response = await fetch(`https://pypi.org/pypi/${encodeURIComponent(name)}/json`);
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`PyPI returned ${response.status}`);
+        }
+        const { info } = await response.json();
+        return { name: info.name, version: info.version, summary: info.summary };
+    }
+
+    async exportRequirements(filePath) {
+        const frozen = await this.capturePip(['freeze', '--exclude-editable']);
+        await fs.promises.writeFile(filePath, frozen);
+    }
+
+    /**
+     * Run a saved script against a snapshot of the current selection, so
+     * selecting other items mid-run doesn't change what the script sees.
+     * Py.stateless_run_file/run_func run through execSync, which blocks the UI
+     * and can't be cancelled or stream output, so the script is spawned here.
+     */
+    async runScript(script, params, onOutput) {
+        if (this.scriptRun) {
+            throw new Error('Another script is still running');
+        }
+        const pythonPath = await Py.resolve_python_env();
+        if (!pythonPath) {
+            throw new Error('No Python environment is set up');
+        }
+
+        const items = await eagle.item.getSelected();
+        const contextFile = path.join(os.tmpdir(), `eaglecooler-script-${process.pid}-${Date.now()}.json`);
+        await writeEagleContext(items, contextFile);
+        this.recordUsage(pythonPath);
+
+        const run = {
+            script: script.file,
+            title: script.title,
+            params,
+            itemCount: items.length,
+            startedAt: Date.now(),
+            stdout: '',
+            stderr: ''
+        };
+        this.scriptRun = scripts.runScript(pythonPath, script, params, {
+            env: bridgeEnv(contextFile),
+            onOutput: (text, stream) => {
+                run[stream] += text;
+                onOutput(text, stream);
+            }
+        });
+
+        try {
+            run.exitCode = await this.scriptRun.done;
+            run.status = run.exitCode === null ? 'cancelled' : run.exitCode === 0 ? 'success' : 'failed';
+        } catch (error) {
+            run.exitCode = null;
+            run.status = 'failed';
+            run.stderr += error.message;
+            onOutput(error.message, 'stderr');
+        } finally {
+            this.scriptRun = null;
+            fs.promises.unlink(contextFile).catch(() => {});
+        }
+        run.finishedAt = Date.now();
+        return { run, runs: await scripts.recordRun(run) };
+    }
+
+    cancelScript() {
+        if (this.scriptRun) {
+            this.scriptRun.cancel();
+        }
+    }
+
     async setupEnvironment() {
         this.isLoading = true;
         try {
@@ -227,54 +658,42 @@ class PythonEnvironmentManager {
 
         try {
             const pythonPath = await Py.resolve_python_env();
-            
-            // Spawn Python in interactive mode
-            this.pythonProcess = spawn(pythonPath, ['-i'], {
-                stdio: ['pipe', 'pipe', 'pipe']
+            await this.loadHistory(pythonPath);
+            this.recordUsage(pythonPath);
+
+            const env = { ...bridgeEnv(), PYTHONIOENCODING: 'utf-8' };
+            if (process.platform === 'win32') {
+                this.interruptFile = path.join(os.tmpdir(), `eaglecooler-shell-${process.pid}-${Date.now()}.interrupt`);
+                env.EAGLE_SHELL_INTERRUPT_FILE = this.interruptFile;
+            }
+
+            // Spawn Python in interactive, unbuffered mode so output streams as it is printed
+            const child = spawn(pythonPath, ['-u', '-i', '-c', SHELL_BOOTSTRAP], {
+                stdio: ['pipe', 'pipe', 'pipe'],
+                env
             });
-            
-            // Helper function to escape HTML
-            const escapeHtml = (text) => {
-                const div = document.createElement('div');
-                div.textContent = text;
-                return div.innerHTML;
-            };
-            
+            this.pythonProcess = child;
+            child.stdout.setEncoding('utf8');
+            child.stderr.setEncoding('utf8');
+
             // Handle stdout
-            this.pythonProcess.stdout.on('data', (data) => {
-                const text = escapeHtml(data.toString());
-                this.shellOutput += text;
-                // Update the output
-                const outputArea = document.getElementById('shell-output');
-                if (outputArea) {
-                    outputArea.innerHTML = this.shellOutput;
-                    outputArea.scrollTop = outputArea.scrollHeight;
-                }
+            child.stdout.on('data', (data) => {
+                this.appendOutput(data);
             });
 
-            // Handle stderr (including Python's startup messages and prompts)
-            this.pythonProcess.stderr.on('data', (data) => {
-                const text = escapeHtml(data.toString());
-                this.shellOutput += text;
-                // Update the output
-                const outputArea = document.getElementById('shell-output');
-                if (outputArea) {
-                    outputArea.innerHTML = this.shellOutput;
-                    outputArea.scrollTop = outputArea.scrollHeight;
-                }
+            // Handle stderr (including Python's prompts and tracebacks)
+            child.stderr.on('data', (data) => {
+                this.appendOutput(data);
             });
 
             // Handle process exit
-            this.pythonProcess.on('exit', (code) => {
+            child.on('exit', (code) => {
                 console.log(`Python process exited with code ${code}`);
+                // A restart has already replaced this process
+                if (this.pythonProcess !== child) return;
                 this.pythonProcess = null;
-                const startButton = document.getElementById('start-shell');
-                const inputField = document.getElementById('shell-input');
-                if (startButton && inputField) {
-                    startButton.textContent = 'Start Shell';
-                    startButton.disabled = false;
-                    inputField.disabled = true;
-                }
+                this.appendOutput(`\n[Process exited with code ${code}]\n`, 'shell-notice');
+                this.updateShellControls();
             });
 
         } catch (error) {
@@ -286,28 +705,83 @@ class PythonEnvironmentManager {
         }
     }
 
+    async restartShell() {
+        this.cleanup();
+        this.appendOutput('\n[Restarting shell]\n', 'shell-notice');
+        await this.startShell();
+    }
+
+    // Raise KeyboardInterrupt in the running code, like Ctrl+C in a terminal
+    async interruptShell() {
+        if (!this.pythonProcess) return;
+        try {
+            if (this.interruptFile) {
+                await fs.promises.writeFile(this.interruptFile, '');
+            } else {
+                this.pythonProcess.kill('SIGINT');
+            }
+        } catch (error) {
+            console.error('Failed to interrupt Python shell:', error);
+        }
+    }
+
+    clearOutput() {
+        const outputArea = document.getElementById('shell-output');
+        if (outputArea) {
+            outputArea.textContent = '';
+        }
+        this.outputLength = 0;
+    }
+
+    // Append to the output without re-rendering it, dropping the oldest output past the cap
+    appendOutput(text, className = null) {
+        const outputArea = document.getElementById('shell-output');
+        if (!outputArea || !text) return;
+
+        const stickToBottom = outputArea.scrollHeight - outputArea.scrollTop - outputArea.clientHeight < 20;
+        let node;
+        if (className) {
+            node = document.createElement('span');
+            node.className = className;
+            node.textContent = text;
+        } else {
+            node = document.createTextNode(text);
+        }
+        outputArea.appendChild(node);
+        this.outputLength += text.length;
+
+        while (this.outputLength > MAX_SHELL_OUTPUT && outputArea.firstChild !== node) {
+            this.outputLength -= outputArea.firstChild.textContent.length;
+            outputArea.removeChild(outputArea.firstChild);
+        }
+        if (stickToBottom) {
+            outputArea.scrollTop = outputArea.scrollHeight;
+        }
+    }
+
+    updateShellControls() {
+        const running = !!this.pythonProcess;
+        const startButton = document.getElementById('start-shell');
+        if (!startButton) return;
+        startButton.textContent = running ? 'Shell Running' : 'Start Shell';
+        startButton.disabled = running || !this.isEnvSet;
+        document.getElementById('shell-input').disabled = !running;
+        document.getElementById('interrupt-shell').disabled = !running;
+        document.getElementById('restart-shell').disabled = !running;
+    }
+
     async sendCommand(command) {
         if (!this.pythonProcess) return;
 
         try {
-            // Add the command to the output with HTML for blue color
-            const escapedCommand = command.replace(/[<>&"']/g, c => ({
-                '<': '&lt;',
-                '>': '&gt;',
-                '&': '&amp;',
-                '"': '&quot;',
-                "'": '&#39;'
-            })[c]);
-            this.shellOutput += `<span class="user-input">${escapedCommand}</span>\n`;
-            
-            const outputArea = document.getElementById('shell-output');
-            if (outputArea) {
-                outputArea.innerHTML = this.shellOutput;
-                outputArea.scrollTop = outputArea.scrollHeight;
-            }
-            
-            // Send the command to the Python process
-            this.pythonProcess.stdin.write(command + '\n');
+            this.appendOutput(command + '\n', 'user-input');
+            this.addToHistory(command);
+
+            // Multi-line blocks run as a unit; single lines go to the REPL as typed
+            const line = command.includes('\n')
+                ? `_eagle_run_block(${JSON.stringify(command)})`
+                : command;
+            this.pythonProcess.stdin.write(line + '\n');
         } catch (error) {
             console.error('Failed to send command:', error);
             eagle.dialog.showMessageBox({
@@ -317,11 +791,65 @@ class PythonEnvironmentManager {
         }
     }
 
+    // History is kept per Python executable, so each environment has its own
+    async loadHistory(pythonPath) {
+        const key = crypto.createHash('sha1').update(path.resolve(pythonPath)).digest('hex').slice(0, 12);
+        this.historyFile = path.join(this.historyDir, `${key}.json`);
+        try {
+            const data = JSON.parse(await fs.promises.readFile(this.historyFile, 'utf8'));
+            this.history = Array.isArray(data.commands) ? data.commands : [];
+        } catch (error) {
+            this.history = [];
+        }
+        this.historyIndex = this.history.length;
+        this.historyDraft = '';
+    }
+
+    async saveHistory() {
+        if (!this.historyFile) return;
+        try {
+            await fs.promises.mkdir(this.historyDir, { recursive: true });
+            await fs.promises.writeFile(this.historyFile, JSON.stringify({ commands: this.history }, null, 2));
+        } catch (error) {
+            console.error('Failed to save shell history:', error);
+        }
+    }
+
+    addToHistory(command) {
+        if (command.trim() && this.history[this.history.length - 1] !== command) {
+            this.history.push(command);
+            this.history.splice(0, Math.max(0, this.history.length - MAX_SHELL_HISTORY));
+            this.saveHistory();
+        }
+        this.historyIndex = this.history.length;
+        this.historyDraft = '';
+    }
+
+    // Step through history (-1 older, 1 newer); returns the text to show, or null at either end
+    historyStep(direction, currentText) {
+        const next = this.historyIndex + direction;
+        if (next < 0 || next > this.history.length) return null;
+        if (this.historyIndex === this.history.length) {
+            this.historyDraft = currentText;
+        }
+        this.historyIndex = next;
+        return next === this.history.length ? this.historyDraft : this.history[next];
+    }
+
     cleanup() {
+        this.cancelScript();
+        if (this.pipProcess) {
+            this.pipProcess.kill();
+            this.pipProcess = null;
+        }
         if (this.pythonProcess) {
             this.pythonProcess.kill();
             this.pythonProcess = null;
         }
+        if (this.interruptFile) {
+            fs.promises.rm(this.interruptFile, { force: true }).catch(() => {});
+            this.interruptFile = null;
+        }
     }
 }
 
@@ -330,62 +858,163 @@ module.exports = {
     styles: ['styles.css'],
     render: () => `
         <div class="python-env">
-            <div class="env-section">
-                <h2>Python Environment Setup</h2>
-                <div class="source-type-selector">
-                    <label class="radio-label">
-                        <input type="radio" name="source-type" value="version" checked>
-                        Use Version
-                    </label>
-                    <label class="radio-label">
-                        <input type="radio" name="source-type" value="url">
-                        Use URL
-                    </label>
-                    <label class="radio-label">
-                        <input type="radio" name="source-type" value="local">
-                        Use Local Directory
-                    </label>
-                </div>
+            <div class="tab-bar">
+                <button class="tab-button active" data-tab="environment">Environment</button>
+                <button class="tab-button" data-tab="packages">Packages</button>
+                <button class="tab-button" data-tab="shell">Shell</button>
+                <button class="tab-button" data-tab="scripts">Scripts</button>
+            </div>
 
-                <div id="version-input" class="source-input">
-                    <div class="form-group">
-                        <label for="python-version">Python Version (Loading available versions...)</label>
-                        <input type="text" id="python-version" value="3.12.8" placeholder="e.g., 3.12.8">
+            <div class="tab-panel" data-panel="environment">
+                <div class="env-section">
+                    <h2>Python Environment Setup</h2>
+                    <div class="source-type-selector">
+                        <label class="radio-label">
+                            <input type="radio" name="source-type" value="version" checked>
+                            Use Version
+                        </label>
+                        <label class="radio-label">
+                            <input type="radio" name="source-type" value="url">
+                            Use URL
+                        </label>
+                        <label class="radio-label">
+                            <input type="radio" name="source-type" value="local">
+                            Use Local Directory
+                        </label>
+                    </div>
+
+                    <div id="version-input" class="source-input">
+                        <div class="form-group">
+                            <label for="python-version">Python Version (Loading available versions...)</label>
+                            <input type="text" id="python-version" value="3.12.8" placeholder="e.g., 3.12.8">
+                        </div>
+                    </div>
+
+                    <div id="url-input" class="source-input" style="display: none;">
+                        <div class="form-group">
+                            <label for="source-url">Download URL</label>
+                            <input type="text" id="source-url" placeholder="Enter Python distribution URL">
+                        </div>
+                    </div>
+
+                    <div id="local-input" class="source-input" style="display: none;">
+                        <div class="form-group">
+                            <label for="local-path">Python Directory</label>
+                            <div class="path-input-container">
+                                <input type="text" id="local-path" readonly placeholder="Select Python directory">
+                                <button id="select-directory" class="secondary-button">Browse</button>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div class="button-container">
+                        <button id="setup-env" class="primary-button">Set up Python Environment</button>
+                        <button id="reset-env" class="secondary-button" style="display: none;">Reset Environment</button>
+                    </div>
+                    <div id="env-status" class="status-message" style="display: none;">
+                        Environment is already set up
                     </div>
                 </div>
 
-                <div id="url-input" class="source-input" style="display: none;">
-                    <div class="form-group">
-                        <label for="source-url">Download URL</label>
-                        <input type="text" id="source-url" placeholder="Enter Python distribution URL">
+                <div class="manager-section">
+                    <div class="section-header">
+                        <h2>Installed Environments</h2>
+                        <button id="refresh-envs" class="secondary-button">Refresh</button>
                     </div>
+                    <table class="env-table">
+                        <thead>
+                            <tr>
+                                <th>Environment</th>
+                                <th>Python</th>
+                                <th>Disk usage</th>
+                                <th>Last used</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody id="env-list"></tbody>
+                    </table>
                 </div>
+            </div>
 
-                <div id="local-input" class="source-input" style="display: none;">
-                    <div class="form-group">
-                        <label for="local-path">Python Directory</label>
-                        <div class="path-input-container">
-                            <input type="text" id="local-path" readonly placeholder="Select Python directory">
-                            <button id="select-directory" class="secondary-button">Browse</button>
+            <div class="tab-panel hidden" data-panel="packages">
+                <div class="packages-section">
+                    <div class="section-header">
+                        <h2>Packages</h2>
+                        <div class="package-toolbar">
+                            <button id="check-outdated" class="secondary-button">Check for Updates</button>
+                            <button id="import-requirements" class="secondary-button">Import requirements.txt</button>
+                            <button id="export-requirements" class="secondary-button">Export requirements.txt</button>
                         </div>
                     </div>
+                    <div id="package-target" class="package-target"></div>
+                    <div class="path-input-container">
+                        <input type="text" id="package-search" class="package-search" placeholder="Filter installed packages, or enter a name/requirement to install (e.g. Pillow, numpy&lt;2)">
+                        <button id="install-package" class="primary-button">Install</button>
+                    </div>
+                    <div id="package-lookup" class="package-lookup"></div>
+                    <table class="env-table">
+                        <thead>
+                            <tr>
+                                <th>Package</th>
+                                <th>Version</th>
+                                <th>Latest</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody id="package-list"></tbody>
+                    </table>
+                    <pre id="pip-log" class="shell-output pip-log"></pre>
                 </div>
+            </div>
 
-                <div class="button-container">
-                    <button id="setup-env" class="primary-button">Set up Python Environment</button>
-                    <button id="reset-env" class="secondary-button" style="display: none;">Reset Environment</button>
-                </div>
-                <div id="env-status" class="status-message" style="display: none;">
-                    Environment is already set up
+            <div class="tab-panel hidden" data-panel="shell">
+                <div class="shell-section">
+                    <h2>Python Interactive Shell</h2>
+                    <pre id="shell-output" class="shell-output" readonly></pre>
+                    <div class="shell-input-container">
+                        <textarea id="shell-input" class="shell-input" rows="1" placeholder="Enter Python commands... (Shift+Enter for a new line, ↑/↓ for history)" disabled></textarea>
+                        <div class="shell-controls">
+                            <button id="interrupt-shell" class="secondary-button" title="Interrupt (Ctrl+C)" disabled>Interrupt</button>
+                            <button id="restart-shell" class="secondary-button" title="Restart the interpreter" disabled>Restart</button>
+                            <button id="clear-shell" class="secondary-button" title="Clear output (Ctrl+L)">Clear</button>
+                            <button id="start-shell" class="primary-button">Start Shell</button>
+                        </div>
+                    </div>
                 </div>
             </div>
 
-            <div class="shell-section">
-                <h2>Python Interactive Shell</h2>
-                <pre id="shell-output" class="shell-output" readonly></pre>
-                <div class="shell-input-container">
-                    <input type="text" id="shell-input" class="shell-input" placeholder="Enter Python commands..." disabled>
-                    <button id="start-shell" class="primary-button">Start Shell</button>
+            <div class="tab-panel hidden" data-panel="scripts">
+                <div class="scripts-section">
+                    <div class="section-header">
+                        <h2>Scripts</h2>
+                        <div class="package-toolbar">
+                            <button id="open-scripts" class="secondary-button">Show Folder</button>
+                            <button id="refresh-scripts" class="secondary-button">Refresh</button>
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <select id="script-select" class="script-select"></select>
+                    </div>
+                    <div id="script-description" class="script-description"></div>
+                    <form id="script-form" class="script-form"></form>
+                    <div class="button-container">
+                        <button id="run-script" class="primary-button">Run on Selection</button>
+                        <button id="cancel-script" class="secondary-button" disabled>Cancel</button>
+                    </div>
+                    <div id="script-status" class="package-target"></div>
+                    <pre id="script-output" class="shell-output script-output"></pre>
+                    <table class="env-table">
+                        <thead>
+                            <tr>
+                                <th>Started</th>
+                                <th>Script</th>
+                                <th>Items</th>
+                                <th>Result</th>
+                                <th>Duration</th>
+                            </tr>
+                        </thead>
+                        <tbody id="run-history"></tbody>
+                    </table>
                 </div>
             </div>
         </div>
@@ -427,8 +1056,6 @@ module.exports = {
             const statusEl = document.getElementById('env-status');
             const setupButton = document.getElementById('setup-env');
             const resetButton = document.getElementById('reset-env');
-            const startShellButton = document.getElementById('start-shell');
-            const shellInput = document.getElementById('shell-input');
             const radioButtons = document.querySelectorAll('input[name="source-type"]');
 
             statusEl.style.display = isEnvSet ? 'block' : 'none';
@@ -440,11 +1067,7 @@ module.exports = {
                 radio.disabled = isEnvSet;
             });
             
-            if (!isEnvSet) {
-                startShellButton.disabled = true;
-                shellInput.disabled = true;
-                startShellButton.textContent = 'Start Shell';
-            }
+            manager.updateShellControls();
         }
 
         // Check environment status on mount
@@ -452,6 +1075,65 @@ module.exports = {
             updateUIState(isSet);
         });
 
+        function formatSize(bytes) {
+            if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+            if (bytes < 1024 * 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+            return (bytes / (1024 * 1024 * 1024)).toFixed(2) + ' GB';
+        }
+
+        function escapeHtml(text) {
+            const div = document.createElement('div');
+            div.textContent = text;
+            return div.innerHTML;
+        }
+
+        let environments = [];
+        async function renderEnvironments() {
+            const list = document.getElementById('env-list');
+            list.innerHTML = '<tr><td colspan="5" class="env-empty">Scanning environments...</td></tr>';
+            environments = await manager.listEnvironments();
+            if (!document.getElementById('env-list')) return;
+
+            if (environments.length === 0) {
+                list.innerHTML = '<tr><td colspan="5" class="env-empty">No environments installed</td></tr>';
+                return;
+            }
+            list.innerHTML = environments.map((env, index) => `
+                <tr>
+                    <td>
+                        <div class="env-name">${escapeHtml(env.label)}${env.active ? ' <span class="env-active">in use</span>' : ''}</div>
+                        <div class="env-path" title="${escapeHtml(env.dir)}">${escapeHtml(env.dir)}</div>
+                    </td>
+                    <td>${env.version ? escapeHtml(env.version) : '<span class="env-broken">not runnable</span>'}</td>
+                    <td>${formatSize(env.size)}</td>
+                    <td>${env.lastUsed ? new Date(env.lastUsed).toLocaleString() : 'Never'}</td>
+                    <td class="env-actions">
+                        <button class="secondary-button" data-action="reveal" data-index="${index}">Reveal</button>
+                        <button class="secondary-button" data-action="delete" data-index="${index}">Delete</button>
+                    </td>
+                </tr>
+            `).join('');
+        }
+
+        document.getElementById('env-list').addEventListener('click', async (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const env = environments[button.dataset.index];
+            if (button.dataset.action === 'reveal') {
+                eagle.shell.showItemInFolder(env.pythonPath || env.dir);
+                return;
+            }
+            button.disabled = true;
+            if (await manager.deleteEnvironment(env)) {
+                updateUIState(await manager.checkEnvironment());
+                await renderEnvironments();
+            } else {
+                button.disabled = false;
+            }
+        });
+        document.getElementById('refresh-envs').addEventListener('click', renderEnvironments);
+        renderEnvironments();
+
         // Source type radio buttons
         const radioButtons = document.querySelectorAll('input[name="source-type"]');
         const sourceInputs = {
@@ -494,7 +1176,9 @@ module.exports = {
                 if (manager.sourceType === 'local') {
                     document.getElementById('local-path').value = '';
                 }
-                updateUIState(false);
+                // A per-plugin environment may still be there to fall back on
+                updateUIState(manager.sourceType === 'local' ? false : await manager.checkEnvironment());
+                renderEnvironments();
             }
         });
 
@@ -514,43 +1198,457 @@ module.exports = {
 
             await manager.setupEnvironment();
             updateUIState(manager.isEnvSet);
+            renderEnvironments();
         });
 
         // Start shell button
         document.getElementById('start-shell').addEventListener('click', async () => {
-            const startButton = document.getElementById('start-shell');
-            const inputField = document.getElementById('shell-input');
-            
             if (!manager.pythonProcess) {
                 await manager.startShell();
-                if (manager.pythonProcess) {
-                    startButton.textContent = 'Shell Running';
-                    startButton.disabled = true;
-                    inputField.disabled = false;
-                }
+                manager.updateShellControls();
+                shellInput.focus();
             }
         });
 
+        document.getElementById('interrupt-shell').addEventListener('click', () => manager.interruptShell());
+        document.getElementById('restart-shell').addEventListener('click', async () => {
+            await manager.restartShell();
+            manager.updateShellControls();
+        });
+        document.getElementById('clear-shell').addEventListener('click', () => manager.clearOutput());
+
         // Shell input handling
         const shellInput = document.getElementById('shell-input');
+
+        // Grow with the block being edited, up to a point
+        function resizeShellInput() {
+            shellInput.rows = Math.min(Math.max(shellInput.value.split('\n').length, 1), 12);
+        }
+
+        function setShellInput(text) {
+            shellInput.value = text;
+            resizeShellInput();
+            shellInput.selectionStart = shellInput.selectionEnd = text.length;
+        }
+
+        shellInput.addEventListener('input', resizeShellInput);
         shellInput.addEventListener('keydown', async (e) => {
+            const { value, selectionStart, selectionEnd } = shellInput;
+
             if (e.key === 'Enter') {
                 if (e.shiftKey) {
-                    // Allow multiline input with Shift+Enter
+                    // Shift+Enter inserts a new line into the block
                     return;
                 }
                 e.preventDefault();
-                const command = shellInput.value;
-                if (command.trim()) {
-                    await manager.sendCommand(command);
-                    shellInput.value = '';
+                if (value.trim()) {
+                    await manager.sendCommand(value);
+                    setShellInput('');
+                }
+                return;
+            }
+
+            // Up/down browse history when the caret is on the first/last line of the block
+            const onFirstLine = !value.slice(0, selectionStart).includes('\n');
+            const onLastLine = !value.slice(selectionEnd).includes('\n');
+            if ((e.key === 'ArrowUp' && onFirstLine) || (e.key === 'ArrowDown' && onLastLine)) {
+                const text = manager.historyStep(e.key === 'ArrowUp' ? -1 : 1, value);
+                if (text !== null) {
+                    e.preventDefault();
+                    setShellInput(text);
                 }
+                return;
+            }
+
+            if (e.ctrlKey && e.key === 'c' && selectionStart === selectionEnd) {
+                // Ctrl+C with nothing selected interrupts, as in a terminal
+                e.preventDefault();
+                manager.interruptShell();
+            } else if (e.ctrlKey && e.key === 'l') {
+                e.preventDefault();
+                manager.clearOutput();
             }
         });
 
+        // Tabs
+        document.querySelectorAll('.tab-button').forEach(tab => {
+            tab.addEventListener('click', () => {
+                document.querySelectorAll('.tab-button').forEach(other => {
+                    other.classList.toggle('active', other === tab);
+                });
+                document.querySelectorAll('.tab-panel').forEach(panel => {
+                    panel.classList.toggle('hidden', panel.dataset.panel !== tab.dataset.tab);
+                });
+                if (tab.dataset.tab === 'packages' && !packagesLoaded) {
+                    loadPackages();
+                }
+                if (tab.dataset.tab === 'scripts' && !scriptsLoaded) {
+                    loadScripts();
+                }
+            });
+        });
+
+        // Packages
+        let packages = [];
+        let latestVersions = {};
+        let packagesLoaded = false;
+        const packageSearch = document.getElementById('package-search');
+        const pipLog = document.getElementById('pip-log');
+
+        function appendPipLog(text) {
+            pipLog.appendChild(document.createTextNode(text));
+            // Keep only the tail of long installs
+            if (pipLog.textContent.length > MAX_SHELL_OUTPUT) {
+                pipLog.textContent = pipLog.textContent.slice(-MAX_SHELL_OUTPUT / 2);
+            }
+            pipLog.scrollTop = pipLog.scrollHeight;
+        }
+
+        function setPackageBusy(busy) {
+            document.querySelectorAll('.packages-section button').forEach(button => {
+                button.disabled = busy;
+            });
+        }
+
+        async function loadPackages() {
+            packagesLoaded = true;
+            const list = document.getElementById('package-list');
+            list.innerHTML = '<tr><td colspan="4" class="env-empty">Loading packages...</td></tr>';
+            try {
+                const pythonPath = await Py.resolve_python_env();
+                document.getElementById('package-target').textContent = pythonPath
+                    ? `Installing into ${pythonPath}`
+                    : 'No Python environment is set up';
+                packages = pythonPath ? await manager.listPackages() : [];
+            } catch (error) {
+                console.error('Failed to list packages:', error);
+                packages = [];
+                list.innerHTML = `<tr><td colspan="4" class="env-empty">Failed to list packages: ${escapeHtml(error.message)}</td></tr>`;
+                return;
+            }
+            renderPackages();
+        }
+
+        function renderPackages() {
+            const list = document.getElementById('package-list');
+            const filter = packageSearch.value.trim().toLowerCase();
+            const shown = packages.filter(pkg => !filter || pkg.name.toLowerCase().includes(filter));
+            if (shown.length === 0) {
+                list.innerHTML = `<tr><td colspan="4" class="env-empty">${filter ? 'No installed package matches' : 'No packages installed'}</td></tr>`;
+                return;
+            }
+            list.innerHTML = shown.map(pkg => {
+                const latest = latestVersions[pkg.name.toLowerCase()];
+                return `
+                    <tr>
+                        <td>${escapeHtml(pkg.name)}</td>
+                        <td>${escapeHtml(pkg.version)}</td>
+                        <td>${latest ? `<span class="package-outdated">${escapeHtml(latest)}</span>` : ''}</td>
+                        <td class="env-actions">
+                            ${latest ? `<button class="secondary-button" data-action="upgrade" data-name="${escapeHtml(pkg.name)}">Upgrade</button>` : ''}
+                            <button class="secondary-button" data-action="uninstall" data-name="${escapeHtml(pkg.name)}">Uninstall</button>
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+        }
+
+        // Run a pip command with its output streamed into the log, then refresh the list
+        async function runPipCommand(args) {
+            setPackageBusy(true);
+            appendPipLog(`$ pip ${args.join(' ')}\n`);
+            try {
+                const code = await manager.runPip(args, appendPipLog);
+                appendPipLog(code === 0 ? '\n[Done]\n\n' : `\n[pip exited with code ${code}]\n\n`);
+            } catch (error) {
+                console.error('Failed to run pip:', error);
+                appendPipLog(`\n[Failed: ${error.message}]\n\n`);
+            } finally {
+                setPackageBusy(false);
+            }
+            latestVersions = {};
+            await loadPackages();
+        }
+
+        let lookupTimer = null;
+        packageSearch.addEventListener('input', () => {
+            renderPackages();
+            clearTimeout(lookupTimer);
+            const lookup = document.getElementById('package-lookup');
+            const name = packageSearch.value.trim();
+            lookup.textContent = '';
+            // Only bare names can be looked up; skip requirement specifiers
+            if (!/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(name)) return;
+            lookupTimer = setTimeout(async () => {
+                try {
+                    const info = await manager.lookupPackage(name);
+                    if (packageSearch.value.trim() !== name) return;
+                    lookup.textContent = info
+                        ? `${info.name} ${info.version} on PyPI${info.summary ? ` — ${info.summary}` : ''}`
+                        : `No package named "${name}" on PyPI`;
+                } catch (error) {
+                    console.error('Failed to look up package:', error);
+                }
+            }, 400);
+        });
+
+        document.getElementById('install-package').addEventListener('click', () => {
+            const requirement = packageSearch.value.trim();
+            // Anything starting with '-' would be read as a pip option
+            if (!requirement || requirement.startsWith('-')) return;
+            runPipCommand(['install', ...requirement.split(/\s+/)]);
+        });
+
+        document.getElementById('package-list').addEventListener('click', async (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const name = button.dataset.name;
+            if (button.dataset.action === 'upgrade') {
+                runPipCommand(['install', '--upgrade', name]);
+                return;
+            }
+            const { response } = await eagle.dialog.showMessageBox({
+                type: 'warning',
+                message: `Uninstall ${name}?`,
+                buttons: ['Cancel', 'Uninstall'],
+                defaultId: 0,
+                cancelId: 0
+            });
+            if (response === 1) {
+                runPipCommand(['uninstall', '-y', name]);
+            }
+        });
+
+        document.getElementById('check-outdated').addEventListener('click', async () => {
+            setPackageBusy(true);
+            appendPipLog('Checking for updates...\n');
+            try {
+                latestVersions = await manager.listOutdatedPackages();
+                const count = Object.keys(latestVersions).length;
+                appendPipLog(count ? `${count} package(s) can be upgraded\n\n` : 'All packages are up to date\n\n');
+                renderPackages();
+            } catch (error) {
+                console.error('Failed to check for updates:', error);
+                appendPipLog(`[Failed: ${error.message}]\n\n`);
+            } finally {
+                setPackageBusy(false);
+            }
+        });
+
+        document.getElementById('import-requirements').addEventListener('click', async () => {
+            const result = await eagle.dialog.showOpenDialog({
+                properties: ['openFile'],
+                filters: [{ name: 'Requirements', extensions: ['txt'] }]
+            });
+            if (!result.canceled && result.filePaths.length > 0) {
+                runPipCommand(['install', '-r', result.filePaths[0]]);
+            }
+        });
+
+        document.getElementById('export-requirements').addEventListener('click', async () => {
+            const result = await eagle.dialog.showSaveDialog({
+                defaultPath: 'requirements.txt',
+                filters: [{ name: 'Requirements', extensions: ['txt'] }]
+            });
+            if (result.canceled || !result.filePath) return;
+            try {
+                await manager.exportRequirements(result.filePath);
+                appendPipLog(`Exported requirements to ${result.filePath}\n\n`);
+            } catch (error) {
+                console.error('Failed to export requirements:', error);
+                eagle.dialog.showMessageBox({
+                    type: 'error',
+                    message: 'Failed to export requirements: ' + error.message
+                });
+            }
+        });
+
+        // Scripts
+        let scriptList = [];
+        let runs = [];
+        let scriptsLoaded = false;
+        const scriptSelect = document.getElementById('script-select');
+        const scriptOutput = document.getElementById('script-output');
+
+        function appendScriptOutput(text, stream) {
+            const node = document.createElement('span');
+            if (stream === 'stderr') node.className = 'script-stderr';
+            node.textContent = text;
+            scriptOutput.appendChild(node);
+            scriptOutput.scrollTop = scriptOutput.scrollHeight;
+        }
+
+        function showRunOutput(run) {
+            scriptOutput.textContent = '';
+            appendScriptOutput(run.stdout);
+            appendScriptOutput(run.stderr, 'stderr');
+        }
+
+        function describeRun(run) {
+            if (run.status === 'success') return 'Succeeded';
+            if (run.status === 'cancelled') return 'Cancelled';
+            return run.exitCode === null ? 'Failed to start' : `Failed (exit code ${run.exitCode})`;
+        }
+
+        async function loadScripts() {
+            scriptsLoaded = true;
+            const selected = scriptSelect.value;
+            try {
+                [scriptList, runs] = await Promise.all([scripts.listScripts(), scripts.loadRuns()]);
+            } catch (error) {
+                console.error('Failed to load scripts:', error);
+                scriptList = [];
+            }
+            scriptSelect.innerHTML = scriptList.length
+                ? scriptList.map(script => `<option value="${escapeHtml(script.file)}">${escapeHtml(script.title)}</option>`).join('')
+                : '<option value="">No scripts found</option>';
+            if (scriptList.some(script => script.file === selected)) {
+                scriptSelect.value = selected;
+            }
+            renderScriptForm();
+            renderRuns();
+        }
+
+        function currentScript() {
+            return scriptList.find(script => script.file === scriptSelect.value) || null;
+        }
+
+        function renderScriptForm() {
+            const script = currentScript();
+            const description = document.getElementById('script-description');
+            const form = document.getElementById('script-form');
+            if (!script) {
+                description.textContent = `Save .py files to ${scripts.SCRIPTS_DIR} to run them here.`;
+                form.innerHTML = '';
+                return;
+            }
+            description.textContent = [script.description, ...script.errors].filter(Boolean).join('\n');
+            form.innerHTML = script.params.map(param => {
+                const id = `script-param-${param.name}`;
+                const label = `<label for="${id}">${escapeHtml(param.label)}</label>`;
+                switch (param.type) {
+                    case 'bool':
+                        return `<div class="form-group"><label class="radio-label"><input type="checkbox" id="${id}" name="${param.name}" ${param.default ? 'checked' : ''}> ${escapeHtml(param.label)}</label></div>`;
+                    case 'choice':
+                        return `<div class="form-group">${label}<select id="${id}" name="${param.name}">${param.options.map(option =>
+                            `<option ${option === param.default ? 'selected' : ''}>${escapeHtml(option)}</option>`).join('')}</select></div>`;
+                    case 'text':
+                        return `<div class="form-group">${label}<textarea id="${id}" name="${param.name}" rows="3"></textarea></div>`;
+                    default:
+                        return `<div class="form-group">${label}<input type="text" id="${id}" name="${param.name}"></div>`;
+                }
+            }).join('');
+            // Set free-form defaults as properties so quotes in them can't break the markup
+            script.params
+                .filter(param => !['bool', 'choice'].includes(param.type))
+                .forEach(param => {
+                    form.elements[param.name].value = param.default === null ? '' : String(param.default);
+                });
+        }
+
+        function readScriptForm(script) {
+            const form = document.getElementById('script-form');
+            return Object.fromEntries(script.params.map(param => {
+                const field = form.elements[param.name];
+                const value = param.type === 'bool' ? field.checked : field.value;
+                try {
+                    return [param.name, scripts.parseParamValue(param.type, value, param.options)];
+                } catch (error) {
+                    throw new Error(`${param.label}: ${error.message}`);
+                }
+            }));
+        }
+
+        function renderRuns() {
+            const list = document.getElementById('run-history');
+            if (runs.length === 0) {
+                list.innerHTML = '<tr><td colspan="5" class="env-empty">No runs yet</td></tr>';
+                return;
+            }
+            list.innerHTML = runs.map((run, index) => `
+                <tr class="run-row" data-index="${index}" title="Show output">
+                    <td>${new Date(run.startedAt).toLocaleString()}</td>
+                    <td>${escapeHtml(run.title || run.script)}</td>
+                    <td>${run.itemCount}</td>
+                    <td class="${run.status === 'failed' ? 'env-broken' : ''}">${describeRun(run)}</td>
+                    <td>${((run.finishedAt - run.startedAt) / 1000).toFixed(1)} s</td>
+                </tr>
+            `).join('');
+        }
+
+        scriptSelect.addEventListener('change', renderScriptForm);
+        document.getElementById('script-form').addEventListener('submit', e => e.preventDefault());
+        document.getElementById('refresh-scripts').addEventListener('click', loadScripts);
+        document.getElementById('open-scripts').addEventListener('click', () => {
+            eagle.shell.showItemInFolder(scripts.SCRIPTS_DIR);
+        });
+
+        document.getElementById('run-history').addEventListener('click', (e) => {
+            const row = e.target.closest('.run-row');
+            if (row) showRunOutput(runs[Number(row.dataset.index)]);
+        });
+
+        document.getElementById('run-script').addEventListener('click', async () => {
+            const script = currentScript();
+            if (!script) return;
+            let params;
+            try {
+                params = readScriptForm(script);
+            } catch (error) {
+                eagle.dialog.showMessageBox({
+                    type: 'error',
+                    message: 'Invalid parameter: ' + error.message
+                });
+                return;
+            }
+
+            const runButton = document.getElementById('run-script');
+            const cancelButton = document.getElementById('cancel-script');
+            const status = document.getElementById('script-status');
+            runButton.disabled = true;
+            cancelButton.disabled = false;
+            scriptOutput.textContent = '';
+            status.textContent = `Running ${script.title}...`;
+            try {
+                const result = await manager.runScript(script, params, appendScriptOutput);
+                runs = result.runs;
+                status.textContent = `${script.title}: ${describeRun(result.run)}`;
+                renderRuns();
+            } catch (error) {
+                console.error('Failed to run script:', error);
+                status.textContent = '';
+                eagle.dialog.showMessageBox({
+                    type: 'error',
+                    message: 'Failed to run script: ' + error.message
+                });
+            } finally {
+                if (document.getElementById('run-script')) {
+                    runButton.disabled = false;
+                    cancelButton.disabled = true;
+                }
+            }
+        });
+
+        document.getElementById('cancel-script').addEventListener('click', () => {
+            manager.cancelScript();
+        });
+
+        // Give eagle.py the selection Eagle had when the mod opened
+        eagle.item.getSelected()
+            .then(items => module.exports.onItemSelected(items));
+
         // Cleanup on unmount
         return () => {
+            clearTimeout(lookupTimer);
             manager.cleanup();
         };
+    },
+
+    async onItemSelected(items) {
+        try {
+            await writeEagleContext(items);
+        } catch (error) {
+            console.error('Failed to update Eagle context:', error);
+        }
     }
 };
@@ -0,0 +1,162 @@
+"""Access to the running Eagle app from Python.
+
+Preloaded into the python-env shell. The mod keeps a context file up to date
+with the current library and selection; everything else goes through Eagle's
+local web API:
+
+    for it in eagle.selected():
+        print(it.name, it.path, it.tags)
+
+    eagle.api.item_update(it.id, tags=it.tags + ['done'])
+
+Set EAGLE_API_URL / EAGLE_API_TOKEN to point the client at another server
+(e.g. a stub while testing) and EAGLE_CONTEXT_FILE to read another context.
+"""
+
+import json
+import os
+import urllib.error
+import urllib.parse
+import urllib.request
+
+__all__ = ['Item', 'Client', 'EagleError', 'api', 'context', 'library_path', 'params', 'selected']
+
+DEFAULT_API_URL = 'http://localhost:41595'
+DEFAULT_CONTEXT_FILE = os.path.join(os.path.expanduser('~'), '.eaglecooler', 'pythonenv', 'context.json')
+
+
+class EagleError(Exception):
+    """Raised when Eagle can't be reached or rejects a request."""
+
+
+class Item:
+    """An Eagle item as captured in the selection snapshot."""
+
+    def __init__(self, data):
+        self.data = data
+        self.id = data.get('id')
+        self.name = data.get('name')
+        self.ext = data.get('ext')
+        self.path = data.get('filePath')
+        self.url = data.get('url') or ''
+        self.tags = list(data.get('tags') or [])
+        self.annotation = data.get('annotation') or ''
+        self.folders = list(data.get('folders') or [])
+
+    def __repr__(self):
+        return '<Item %s %s.%s>' % (self.id, self.name, self.ext)
+
+
+def _context_file():
+    return os.environ.get('EAGLE_CONTEXT_FILE') or DEFAULT_CONTEXT_FILE
+
+
+def context():
+    """Return the raw context written by the mod, or {} when there is none.
+
+    The file is re-read on every call so a long-running shell always sees
+    the current selection.
+    """
+    try:
+        with open(_context_file(), encoding='utf-8') as f:
+            return json.load(f)
+    except FileNotFoundError:
+        return {}
+    except ValueError as error:
+        raise EagleError('Unreadable context file %s: %s' % (_context_file(), error))
+
+
+def selected():
+    """Return the items selected in Eagle."""
+    return [Item(data) for data in context().get('selected', [])]
+
+
+def library_path():
+    """Return the path of the open library."""
+    path = context().get('libraryPath')
+    if path:
+        return path
+    return api.library_info()['library']['path']
+
+
+def params():
+    """Return the form values a saved script was run with ({} in the shell)."""
+    return json.loads(os.environ.get('EAGLE_SCRIPT_PARAMS') or '{}')
+
+
+class Client:
+    """Thin client for Eagle's local web API (the one EagleApi uses).
+
+    Returns the `data` field of each response and raises EagleError for
+    anything other than a successful reply.
+    """
+
+    def __init__(self, base_url=None, token=None, timeout=10):
+        self.base_url = (base_url or os.environ.get('EAGLE_API_URL') or DEFAULT_API_URL).rstrip('/')
+        self.token = token or os.environ.get('EAGLE_API_TOKEN')
+        self.timeout = timeout
+
+    def _fetch(self, method, path, params=None, data=None):
+        # List filters such as tags/folders are comma separated in Eagle's API
+        query = {k: ','.join(v) if isinstance(v, (list, tuple)) else v
+                 for k, v in (params or {}).items() if v is not None}
+        url = '%s/api/%s' % (self.base_url, path.lstrip('/'))
+        if query:
+            url += '?' + urllib.parse.urlencode(query)
+        body = None
+        headers = {}
+        if data is not None:
+            body = json.dumps({k: v for k, v in data.items() if v is not None}).encode('utf-8')
+            headers['Content-Type'] = 'application/json'
+        request = urllib.request.Request(url, data=body, headers=headers, method=method)
+        try:
+            with urllib.request.urlopen(request, timeout=self.timeout) as response:
+                reply = json.loads(response.read().decode('utf-8'))
+        except urllib.error.HTTPError as error:
+            raise EagleError('%s %s failed: HTTP %s' % (method, path, error.code))
+        except (urllib.error.URLError, OSError) as error:
+            raise EagleError('Cannot reach Eagle at %s: %s' % (self.base_url, error))
+        except ValueError:
+            raise EagleError('%s %s returned invalid JSON' % (method, path))
+        if reply.get('status') != 'success':
+            raise EagleError('%s %s failed: %s' % (method, path, reply.get('message') or reply.get('status')))
+        return reply.get('data')
+
+    def _get_token(self):
+        # Same discovery as EagleApi: application/info is readable without a token
+        if not self.token:
+            info = self._fetch('GET', 'application/info')
+            self.token = ((info or {}).get('preferences') or {}).get('developer', {}).get('apiToken')
+            if not self.token:
+                raise EagleError('Eagle did not report an API token')
+        return self.token
+
+    def get(self, path, **params):
+        return self._fetch('GET', path, params=dict(params, token=self._get_token()))
+
+    def post(self, path, **data):
+        return self._fetch('POST', path, params={'token': self._get_token()}, data=data)
+
+    def application_info(self):
+        return self.get('application/info')
+
+    def library_info(self):
+        return self.get('library/info')
+
+    def folder_list(self):
+        return self.get('folder/list')
+
+    def item_info(self, item_id):
+        return self.get('item/info', id=item_id)
+
+    def item_list(self, **filters):
+        return self.get('item/list', **filters)
+
+    def item_update(self, item_id, **fields):
+        return self.post('item/update', id=item_id, **fields)
+
+    def add_from_path(self, path, name=None, **fields):
+        return self.post('item/addFromPath', path=path, name=name or os.path.splitext(os.path.basename(path))[0], **fields)
+
+
+api = Client()
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const SCRIPTS_DIR = path.join(os.homedir(), '.eaglecooler', 'scripts');
+const RUNS_FILE = path.join(os.homedir(), '.eaglecooler', 'pythonenv', 'cache', 'script-runs.json');
+// Runs kept in the history, and characters of each stream stored per run
+const MAX_RUNS = 50;
+const MAX_RUN_OUTPUT = 50000;
+const PARAM_TYPES = ['str', 'text', 'int', 'float', 'bool', 'choice'];
+// Whole-string number formats; parseInt/parseFloat would accept "12px" or "1e"
+const NUMBER_PATTERNS = {
+    int: /^[+-]?\d+$/,
+    float: /^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?$/i
+};
+
+// Loads the script, then calls main(items, **params) when the script defines one
+const SCRIPT_RUNNER = `
+import json, os, runpy, sys
+import eagle
+script = sys.argv[1]
+sys.argv = [script]
+sys.path.insert(0, os.path.dirname(script))
+namespace = runpy.run_path(script, run_name='__eagle_script__')
+main = namespace.get('main')
+if callable(main):
+    result = main(eagle.selected(), **eagle.params())
+    if result is not None:
+        print(json.dumps(result, indent=2, default=str))
+`;
+
+/**
+ * Read the comment header at the top of a script:
+ *
+ *     # title: Tag large images
+ *     # description: Tags every selected image wider than a threshold
+ *     # param min_width: int = 1920 | Minimum width in pixels
+ *     # param mode: choice[copy, move] = copy
+ *
+ * Parameter types are str, text, int, float, bool and choice[...]. The
+ * header ends at the first line that isn't a comment.
+ */
+function parseScriptHeader(source) {
+    const header = { title: null, description: '', params: [], errors: [] };
+    for (const line of source.split(/\r?\n/)) {
+        if (line.startsWith('#!')) continue;
+        if (!line.startsWith('#')) break;
+        const text = line.replace(/^#\s?/, '');
+
+        const field = text.match(/^(title|description):\s*(.*)$/);
+        if (field) {
+            header[field[1]] = field[2].trim();
+            continue;
+        }
+
+        if (!/^param\s/.test(text)) continue;
+        const param = text.match(/^param\s+([A-Za-z_]\w*)\s*:\s*(\w+)(?:\[([^\]]*)\])?\s*(?:=\s*([^|]*?))?\s*(?:\|\s*(.*))?$/);
+        if (!param || !PARAM_TYPES.includes(param[2])) {
+            header.errors.push(`Invalid parameter: ${text}`);
+            continue;
+        }
+        const [, name, type, choices, defaultValue, label] = param;
+        const options = type === 'choice' ? (choices || '').split(',').map(choice => choice.trim()).filter(Boolean) : null;
+        if (type === 'choice' && options.length === 0) {
+            header.errors.push(`Parameter ${name} has no choices`);
+            continue;
+        }
+        // A bad default is reported, and the parameter falls back to an empty value
+        let value;
+        try {
+            value = parseParamValue(type, defaultValue === undefined ? null : defaultValue, options);
+        } catch (error) {
+            header.errors.push(`Parameter ${name}: ${error.message}`);
+            value = parseParamValue(type, null, options);
+        }
+        header.params.push({ name, type, options, label: label ? label.trim() : name, default: value });
+    }
+    return header;
+}
+
+// Convert a form or header value to the type the script declared
+function parseParamValue(type, value, options = null) {
+    switch (type) {
+        case 'bool':
+            return value === true || /^(true|yes|1|on)$/i.test(String(value).trim());
+        case 'int':
+        case 'float': {
+            const text = value === null ? '' : String(value).trim();
+            if (text === '') return null;
+            const number = Number(text);
+            if (!NUMBER_PATTERNS[type].test(text) || !Number.isFinite(number)) {
+                throw new Error(`"${value}" is not a valid ${type}`);
+            }
+            return number;
+        }
+        case 'choice':
+            if (value === null || value === '') return options[0];
+            if (!options.includes(value)) {
+                throw new Error(`"${value}" is not one of ${options.join(', ')}`);
+            }
+            return value;
+        default:
+            return value === null ? '' : String(value).replace(/^(["'])(.*)\1$/, '$2');
+    }
+}
+
+async function listScripts() {
+    await fs.promises.mkdir(SCRIPTS_DIR, { recursive: true });
+    const files = (await fs.promises.readdir(SCRIPTS_DIR))
+        .filter(file => file.endsWith('.py'))
+        .sort((a, b) => a.localeCompare(b));
+
+    return Promise.all(files.map(async file => {
+        const filePath = path.join(SCRIPTS_DIR, file);
+        const header = parseScriptHeader(await fs.promises.readFile(filePath, 'utf8'));
+        return { ...header, file, path: filePath, title: header.title || path.basename(file, '.py') };
+    }));
+}
+
+/**
+ * Run a script in the given interpreter. Output streams to onOutput(text, stream)
+ * as it is printed. Returns { done, cancel }; done resolves with the exit code,
+ * or null when the run was cancelled.
+ *
+ * Py.stateless_run_file/stateless_run_func aren't used: they run through execSync,
+ * which blocks the UI until the script ends, returns output only at the end and
+ * can't be cancelled. Their arguments are also quoted into a shell command.
+ */
+function runScript(pythonPath, script, params, { env = process.env, onOutput = () => {} } = {}) {
+    const child = spawn(pythonPath, ['-u', '-c', SCRIPT_RUNNER, script.path], {
+        cwd: SCRIPTS_DIR,
+        env: { ...env, PYTHONIOENCODING: 'utf-8', EAGLE_SCRIPT_PARAMS: JSON.stringify(params) },
+        windowsHide: true
+    });
+    let cancelled = false;
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    child.stdout.on('data', data => onOutput(data, 'stdout'));
+    child.stderr.on('data', data => onOutput(data, 'stderr'));
+
+    const done = new Promise((resolve, reject) => {
+        child.on('error', reject);
+        child.on('close', code => resolve(cancelled ? null : code));
+    });
+
+    return {
+        done,
+        cancel() {
+            cancelled = true;
+            child.kill();
+        }
+    };
+}
+
+async function loadRuns() {
+    try {
+        return JSON.parse(await fs.promises.readFile(RUNS_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Failed to load script runs:', error);
+        }
+        return [];
+    }
+}
+
+// Store a finished run, newest first, trimming its output and the history to their caps
+async function recordRun(run) {
+    const trim = text => text.length > MAX_RUN_OUTPUT ? '[...]\n' + text.slice(-MAX_RUN_OUTPUT) : text;
+    const runs = await loadRuns();
+    runs.unshift({ ...run, stdout: trim(run.stdout), stderr: trim(run.stderr) });
+    runs.length = Math.min(runs.length, MAX_RUNS);
+    await fs.promises.mkdir(path.dirname(RUNS_FILE), { recursive: true });
+    await fs.promises.writeFile(RUNS_FILE, JSON.stringify(runs, null, 2));
+    return runs;
+}
+
+module.exports = {
+    SCRIPTS_DIR,
+    listScripts,
+    loadRuns,
+    parseParamValue,
+    parseScriptHeader,
+    recordRun,
+    runScript
+};
@@ -0,0 +1,96 @@
+// Library history export and import: CSV rows and path remap rules
+const EXPORT_COLUMNS = ['path', 'alias', 'color', 'pinned'];
+
+function toCsv(rows) {
+    const escapeCell = value => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [EXPORT_COLUMNS, ...rows.map(row => EXPORT_COLUMNS.map(column => row[column]))]
+        .map(cells => cells.map(escapeCell).join(','))
+        .join('\n');
+}
+
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(cell);
+            records.push(record);
+            record = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || record.length > 0) {
+        record.push(cell);
+        records.push(record);
+    }
+
+    const [header, ...rows] = records.filter(r => r.some(value => value.trim()));
+    if (!header || !header.includes('path')) {
+        throw new Error('CSV needs a "path" column');
+    }
+    return rows.map(cells => Object.fromEntries(header.map((column, i) => [column.trim(), cells[i] || ''])));
+}
+
+// One rule per line: `Z:\Design => /Volumes/Design`
+function parseRemapRules(text) {
+    return text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => {
+            const [from, to] = line.split('=>').map(part => part && part.trim());
+            if (!from || to === undefined) {
+                throw new Error(`Invalid remap rule "${line}" (expected "from => to")`);
+            }
+            return { from, to };
+        });
+}
+
+// Replace the longest matching prefix and switch separators to the target's style
+function remapPath(libraryPath, rules) {
+    const normalize = p => p.replace(/\\/g, '/').toLowerCase();
+    const rule = rules
+        .filter(r => {
+            const from = normalize(r.from).replace(/\/$/, '');
+            const source = normalize(libraryPath);
+            return source === from || source.startsWith(from + '/');
+        })
+        .sort((a, b) => b.from.length - a.from.length)[0];
+    if (!rule) return libraryPath;
+
+    const rest = libraryPath.slice(rule.from.replace(/[\\/]$/, '').length);
+    const windowsTarget = /^([a-z]:|\\\\)/i.test(rule.to);
+    const separator = windowsTarget ? '\\' : '/';
+    return rule.to.replace(/[\\/]$/, '') + rest.replace(/[\\/]/g, separator);
+}
+
+module.exports = {
+    EXPORT_COLUMNS,
+    parseCsv,
+    parseRemapRules,
+    remapPath,
+    toCsv
+};
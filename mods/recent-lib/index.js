@@ -2,28 +2,749 @@ const { exec } = require('child_process');
 const util = require('util');
 const path = require('path');
 const fs = require('fs');
-const {EagleApi} = require('@eagle-cooler/utils');
+const os = require('os');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+const {
+    createLibrary,
+    escapeHtml,
+    mapWithConcurrency,
+    observeLibraryMetadata,
+    promptCreateLibrary: promptCreateLibraryDialog,
+    switchHistory,
+    switchHistoryStep,
+    switchLibrary
+} = require('../../shared/eagle-library');
+const { parseCsv, parseRemapRules, remapPath, toCsv } = require('./history-io');
 
 const execAsync = util.promisify(exec);
-const readFileAsync = util.promisify(fs.readFile);
-const writeFileAsync = util.promisify(fs.writeFile);
+const gzipAsync = util.promisify(zlib.gzip);
+const gunzipAsync = util.promisify(zlib.gunzip);
+
+const BACKUP_DIR = path.join(os.homedir(), '.eaglecooler', 'recent-lib', 'backups');
+const MAX_BACKUPS = 10;
+
+// Write through a synced temp file and a rename, so a crash leaves either the old
+// file or the new one, never a half-written one
+async function writeFileAtomic(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    const handle = await fs.promises.open(tempPath, 'w');
+    try {
+        await handle.writeFile(content, 'utf8');
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+
+    try {
+        await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.promises.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+// Reads and writes Eagle's `Settings` file. Every write is validated, preceded by a
+// timestamped backup, and lands atomically (temp file + rename) so a crash can never
+// leave Eagle with a half-written file.
+class EagleSettingsStore {
+    constructor(backupDir = BACKUP_DIR) {
+        this.backupDir = backupDir;
+        this.settingsPath = null;
+    }
+
+    async getCandidatePaths() {
+        const home = os.homedir();
+        const candidates = [];
+
+        // Eagle knows its own data directory, including for portable installs
+        try {
+            if (global.eagle && eagle.app && eagle.app.getPath) {
+                candidates.push(path.join(await eagle.app.getPath('userData'), 'Settings'));
+            }
+        } catch (error) {
+            console.error('Failed to ask Eagle for its data directory:', error);
+        }
+
+        if (process.env.PORTABLE_EXECUTABLE_DIR) {
+            candidates.push(path.join(process.env.PORTABLE_EXECUTABLE_DIR, 'data', 'eagle', 'Settings'));
+        }
+
+        if (process.platform === 'win32') {
+            candidates.push(path.join(process.env.APPDATA || path.join(home, 'AppData', 'Roaming'), 'eagle', 'Settings'));
+        } else if (process.platform === 'darwin') {
+            candidates.push(path.join(home, 'Library', 'Application Support', 'eagle', 'Settings'));
+        } else {
+            candidates.push(path.join(process.env.XDG_CONFIG_HOME || path.join(home, '.config'), 'eagle', 'Settings'));
+            candidates.push(path.join(process.env.XDG_DATA_HOME || path.join(home, '.local', 'share'), 'eagle', 'Settings'));
+        }
+
+        return candidates;
+    }
+
+    async locate() {
+        if (this.settingsPath) return this.settingsPath;
+
+        const candidates = await this.getCandidatePaths();
+        for (const candidate of candidates) {
+            try {
+                await fs.promises.access(candidate);
+                this.settingsPath = candidate;
+                return candidate;
+            } catch {
+                // Try the next location
+            }
+        }
+        throw new Error(`Eagle Settings file not found (looked in ${candidates.join(', ')})`);
+    }
+
+    async read() {
+        const settingsPath = await this.locate();
+        const settingsData = await fs.promises.readFile(settingsPath, 'utf8');
+        return JSON.parse(settingsData);
+    }
+
+    validate(settings, original) {
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            throw new Error('Settings must be a JSON object');
+        }
+        if (settings.libraryHistory !== undefined &&
+            (!Array.isArray(settings.libraryHistory) || settings.libraryHistory.some(lib => typeof lib !== 'string'))) {
+            throw new Error('libraryHistory must be a list of paths');
+        }
+        // Only ever edit keys, never drop the ones Eagle owns
+        const droppedKeys = Object.keys(original).filter(key => !(key in settings));
+        if (droppedKeys.length > 0) {
+            throw new Error(`Refusing to write Settings without ${droppedKeys.join(', ')}`);
+        }
+    }
+
+    async backup(settingsPath, original, changedKeys) {
+        await fs.promises.mkdir(this.backupDir, { recursive: true });
+        const timestamp = Date.now();
+        const backupFile = path.join(this.backupDir, `Settings-${timestamp}.json`);
+        const backupData = {
+            timestamp,
+            settingsPath,
+            changedKeys,
+            settings: original
+        };
+        await fs.promises.writeFile(backupFile, JSON.stringify(backupData, null, 2));
+        await this.rotateBackups();
+        return backupFile;
+    }
+
+    async listBackups() {
+        try {
+            const files = await fs.promises.readdir(this.backupDir);
+            return files
+                .filter(file => /^Settings-\d+\.json$/.test(file))
+                .sort()
+                .reverse()
+                .map(file => path.join(this.backupDir, file));
+        } catch {
+            return [];
+        }
+    }
+
+    async rotateBackups() {
+        const backups = await this.listBackups();
+        for (const backupFile of backups.slice(MAX_BACKUPS)) {
+            await fs.promises.unlink(backupFile).catch(() => {});
+        }
+    }
+
+    // Apply `mutator` to a fresh copy of the settings and write the result.
+    // Returns the written settings; no-op changes are not written or backed up.
+    async update(mutator, { recordUndo = true } = {}) {
+        const settingsPath = await this.locate();
+        const original = await this.read();
+        const settings = JSON.parse(JSON.stringify(original));
+        await mutator(settings);
+
+        this.validate(settings, original);
+        const content = JSON.stringify(settings, null, 2);
+        // Round-trip to be sure what hits the disk parses back
+        JSON.parse(content);
+
+        const changedKeys = Object.keys(settings)
+            .filter(key => JSON.stringify(settings[key]) !== JSON.stringify(original[key]));
+        if (changedKeys.length === 0) {
+            return settings;
+        }
+
+        const backupFile = await this.backup(settingsPath, original, changedKeys);
+        if (!recordUndo) {
+            // Safety copy only, not a step the user can undo
+            await this.markUndone(backupFile);
+        }
+        await writeFileAtomic(settingsPath, content);
+        return settings;
+    }
+
+    async markUndone(backupFile) {
+        const backupData = JSON.parse(await fs.promises.readFile(backupFile, 'utf8'));
+        backupData.undone = true;
+        await fs.promises.writeFile(backupFile, JSON.stringify(backupData, null, 2));
+    }
+
+    async getLastUndoable() {
+        for (const backupFile of await this.listBackups()) {
+            try {
+                const backupData = JSON.parse(await fs.promises.readFile(backupFile, 'utf8'));
+                if (!backupData.undone) {
+                    return { backupFile, backupData };
+                }
+            } catch {
+                // Skip unreadable backups
+            }
+        }
+        return null;
+    }
+
+    async canUndo() {
+        return (await this.getLastUndoable()) !== null;
+    }
+
+    // Restore only the keys the last change touched, so anything Eagle wrote since is kept
+    async undo() {
+        const last = await this.getLastUndoable();
+        if (!last) {
+            throw new Error('Nothing to undo');
+        }
+
+        const { backupFile, backupData } = last;
+        const settings = await this.update(current => {
+            for (const key of backupData.changedKeys) {
+                if (key in backupData.settings) {
+                    current[key] = backupData.settings[key];
+                } else {
+                    delete current[key];
+                }
+            }
+        }, { recordUndo: false });
+        await this.markUndone(backupFile);
+        return settings;
+    }
+}
+
+const CURATION_FILE = path.join(os.homedir(), '.eaglecooler', 'recent-lib', 'curation.json');
+const LABEL_COLORS = ['red', 'orange', 'yellow', 'green', 'aqua', 'blue', 'purple', 'pink'];
+
+// Pins, aliases, color labels and manual order for history entries. Kept in our
+// own file rather than in `Settings`, which Eagle rewrites without unknown fields.
+class LibraryCurationStore {
+    constructor(curationFile = CURATION_FILE) {
+        this.curationFile = curationFile;
+        this.entries = {};
+        this.order = [];
+    }
+
+    async load() {
+        try {
+            const data = await fs.promises.readFile(this.curationFile, 'utf8');
+            const curation = JSON.parse(data);
+            this.entries = curation.entries || {};
+            this.order = curation.order || [];
+        } catch (error) {
+            // Nothing curated yet
+            this.entries = {};
+            this.order = [];
+        }
+    }
+
+    async save() {
+        try {
+            await fs.promises.mkdir(path.dirname(this.curationFile), { recursive: true });
+            const curationData = {
+                entries: this.entries,
+                order: this.order
+            };
+            await fs.promises.writeFile(this.curationFile, JSON.stringify(curationData, null, 2));
+        } catch (error) {
+            console.error('Failed to save library curation:', error);
+            throw error;
+        }
+    }
+
+    get(libraryPath) {
+        return this.entries[libraryPath] || {};
+    }
+
+    async set(libraryPath, changes) {
+        const entry = { ...this.get(libraryPath), ...changes };
+        // Drop cleared fields so the file only holds what the user actually set
+        for (const key of Object.keys(entry)) {
+            if (!entry[key]) delete entry[key];
+        }
+
+        if (Object.keys(entry).length > 0) {
+            this.entries[libraryPath] = entry;
+        } else {
+            delete this.entries[libraryPath];
+        }
+        await this.save();
+    }
+
+    async setOrder(libraryPaths) {
+        this.order = libraryPaths;
+        await this.save();
+    }
+
+    // Pinned entries first, then the manual order; libraries never ordered by hand
+    // (e.g. opened since) keep Eagle's most-recent-first position at the top of their group
+    apply(libraries) {
+        const position = new Map(this.order.map((lib, index) => [lib, index]));
+        const rank = lib => position.has(lib) ? position.get(lib) : -1;
+
+        return libraries
+            .map((lib, index) => ({ lib, index }))
+            .sort((a, b) => {
+                const pinnedA = Boolean(this.get(a.lib).pinned);
+                const pinnedB = Boolean(this.get(b.lib).pinned);
+                if (pinnedA !== pinnedB) return pinnedA ? -1 : 1;
+                if (rank(a.lib) !== rank(b.lib)) return rank(a.lib) - rank(b.lib);
+                return a.index - b.index;
+            })
+            .map(({ lib }) => lib);
+    }
+}
+
+const VALIDITY_TIMEOUT = 3000; // per path, in ms
+const VALIDITY_CACHE_TTL = 60 * 1000; // 1 minute
+const VALIDITY_CONCURRENCY = 4;
+const TIMED_OUT = Symbol('timed out');
+
+// Validity results by path and by volume; offline network shares can take many
+// seconds to fail, so each answer is reused until it expires. Volume entries hold
+// the pending check, so libraries on the same volume wait for one access() call.
+const validityCache = new Map();
+const volumeCache = new Map();
+// Volumes with an access() call that timed out and still hasn't returned. Every hung
+// call holds one of libuv's few threadpool threads, so nothing more is started
+// against such a volume until it answers.
+const stalledVolumes = new Set();
+// Last library check queued on each volume; checks on one volume run one at a time
+// so a hang is noticed before the next call is made
+const volumeQueues = new Map();
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve(TIMED_OUT), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function getCached(cache, key) {
+    const cached = cache.get(key);
+    if (cached && Date.now() - cached.checkedAt < VALIDITY_CACHE_TTL) {
+        return cached.value;
+    }
+    return undefined;
+}
+
+// Removable or network volume a path lives on, or null for the system disk
+function getVolumeRoot(libraryPath) {
+    const unc = libraryPath.match(/^(\\\\[^\\]+\\[^\\]+)/);
+    if (unc) return unc[1];
+    if (/^[a-z]:/i.test(libraryPath)) return path.win32.parse(libraryPath).root;
+    const mount = libraryPath.match(/^(\/Volumes\/[^/]+|\/mnt\/[^/]+|\/media\/[^/]+\/[^/]+|\/run\/media\/[^/]+\/[^/]+)/);
+    return mount ? mount[1] : null;
+}
+
+// true or false once access() answers, TIMED_OUT when it doesn't in time
+async function probePath(targetPath, volumeRoot) {
+    const check = fs.promises.access(targetPath).then(() => true, () => false);
+    const result = await withTimeout(check, VALIDITY_TIMEOUT);
+    if (result === TIMED_OUT && volumeRoot) {
+        stalledVolumes.add(volumeRoot);
+        check.then(() => stalledVolumes.delete(volumeRoot));
+    }
+    return result;
+}
+
+function probeOnVolume(libraryPath, volumeRoot) {
+    const previous = volumeQueues.get(volumeRoot) || Promise.resolve();
+    const probe = previous.then(() => stalledVolumes.has(volumeRoot) ? TIMED_OUT : probePath(libraryPath, volumeRoot));
+    volumeQueues.set(volumeRoot, probe);
+    probe.then(() => {
+        if (volumeQueues.get(volumeRoot) === probe) volumeQueues.delete(volumeRoot);
+    });
+    return probe;
+}
+
+function isVolumeReachable(volumeRoot) {
+    if (stalledVolumes.has(volumeRoot)) return Promise.resolve(false);
+    const cached = getCached(volumeCache, volumeRoot);
+    if (cached !== undefined) return cached;
+
+    const reachable = probePath(volumeRoot, volumeRoot).then(result => result === true);
+    volumeCache.set(volumeRoot, { value: reachable, checkedAt: Date.now() });
+    return reachable;
+}
+
+// 'valid', 'missing' (the volume is there but the library isn't), or
+// 'unreachable' (the volume itself is unplugged, offline or too slow to answer)
+async function checkLibraryStatus(libraryPath, { fresh = false } = {}) {
+    if (!fresh) {
+        const cached = getCached(validityCache, libraryPath);
+        if (cached !== undefined) return cached;
+    }
+
+    // The volume is checked first, so a library on an offline volume never gets an
+    // access() call of its own, and one that hangs marks its whole volume stalled
+    let status;
+    const volumeRoot = getVolumeRoot(libraryPath);
+    if (volumeRoot && !(await isVolumeReachable(volumeRoot))) {
+        status = 'unreachable';
+    } else {
+        const result = volumeRoot ? await probeOnVolume(libraryPath, volumeRoot) : await probePath(libraryPath);
+        status = result === TIMED_OUT ? 'unreachable' : result ? 'valid' : 'missing';
+    }
+
+    validityCache.set(libraryPath, { value: status, checkedAt: Date.now() });
+    return status;
+}
+
+const REMAP_RULES_FILE = path.join(os.homedir(), '.eaglecooler', 'recent-lib', 'remap-rules.txt');
+
+const HEALTH_CONCURRENCY = 16;
+
+function collectFolders(folders = [], result = []) {
+    for (const folder of folders) {
+        result.push(folder);
+        collectFolders(folder.children, result);
+    }
+    return result;
+}
+
+async function readJson(filePath) {
+    return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+}
+
+// Inspect one `images/<id>.info` folder
+async function inspectItem(itemDir) {
+    const metadataPath = path.join(itemDir, 'metadata.json');
+    let item;
+    try {
+        item = await readJson(metadataPath);
+    } catch (error) {
+        return { orphan: error.code === 'ENOENT' ? 'no metadata.json' : 'malformed metadata.json' };
+    }
+    if (!item || !item.id || !item.ext) {
+        return { orphan: 'metadata.json has no id or ext' };
+    }
+
+    const files = await fs.promises.readdir(itemDir).catch(() => []);
+    const expectedFile = `${item.name}.${item.ext}`;
+    // Fall back to any file with the right extension in case the name drifted
+    const hasFile = files.includes(expectedFile) ||
+        files.some(file => file.endsWith(`.${item.ext}`) && !file.endsWith('_thumbnail.png'));
+    const hasThumbnail = files.some(file => file.endsWith('_thumbnail.png'));
+
+    return { item, expectedFile, hasFile, hasThumbnail };
+}
+
+// Read-only scan of a library's structure; nothing on disk is changed
+async function checkLibraryHealth(libraryPath) {
+    const report = {
+        libraryPath,
+        checkedAt: new Date().toISOString(),
+        metadataError: null,
+        counts: {},
+        issues: {
+            missingFiles: [],
+            orphans: [],
+            missingThumbnails: [],
+            danglingFolderRefs: [],
+            missingCovers: [],
+            trashedCovers: []
+        }
+    };
+
+    let folders = [];
+    try {
+        const metadata = await readJson(path.join(libraryPath, 'metadata.json'));
+        if (!Array.isArray(metadata.folders)) {
+            throw new Error('metadata.json has no folder list');
+        }
+        folders = collectFolders(metadata.folders);
+    } catch (error) {
+        report.metadataError = error.code === 'ENOENT' ? 'metadata.json is missing' : `metadata.json is malformed: ${error.message}`;
+    }
+    const folderIds = new Set(folders.map(folder => folder.id));
+
+    const imagesDir = path.join(libraryPath, 'images');
+    const entries = await fs.promises.readdir(imagesDir, { withFileTypes: true }).catch(() => []);
+    const itemDirs = entries.filter(entry => entry.isDirectory() && entry.name.endsWith('.info'));
+
+    const itemIds = new Set();
+    // Items in Eagle's trash still have their folder on disk; they are checked like
+    // any other item, but a folder can't show one as its cover
+    const trashedIds = new Set();
+    const results = await mapWithConcurrency(itemDirs, HEALTH_CONCURRENCY,
+        entry => inspectItem(path.join(imagesDir, entry.name)));
+
+    results.forEach((result, index) => {
+        const dir = path.join(imagesDir, itemDirs[index].name);
+        if (result.orphan) {
+            report.issues.orphans.push({ dir, reason: result.orphan });
+            return;
+        }
+
+        const { item } = result;
+        itemIds.add(item.id);
+        if (item.isDeleted) {
+            trashedIds.add(item.id);
+        }
+        if (!result.hasFile) {
+            report.issues.missingFiles.push({ id: item.id, name: item.name, file: path.join(dir, result.expectedFile) });
+        }
+        // Eagle never renders thumbnails for some formats and flags those items itself
+        if (!result.hasThumbnail && !item.noThumbnail) {
+            report.issues.missingThumbnails.push({ id: item.id, name: item.name });
+        }
+        // Without a readable folder tree every reference would look dangling
+        const dangling = report.metadataError ? [] : (item.folders || []).filter(id => !folderIds.has(id));
+        if (dangling.length > 0) {
+            report.issues.danglingFolderRefs.push({ id: item.id, name: item.name, dir, folderIds: dangling });
+        }
+    });
+
+    for (const folder of folders) {
+        if (folder.coverId && !itemIds.has(folder.coverId)) {
+            report.issues.missingCovers.push({ folderId: folder.id, folderName: folder.name, coverId: folder.coverId });
+        } else if (folder.coverId && trashedIds.has(folder.coverId)) {
+            report.issues.trashedCovers.push({ folderId: folder.id, folderName: folder.name, coverId: folder.coverId });
+        }
+    }
+
+    report.counts = {
+        items: itemIds.size,
+        trashed: trashedIds.size,
+        ...Object.fromEntries(Object.entries(report.issues).map(([key, list]) => [key, list.length]))
+    };
+    return report;
+}
+
+// Opt-in repairs; everything touched is moved or copied into `<library>/.quarantine/<timestamp>`
+// first, so a repair can be reverted by hand.
+async function repairLibrary(report, { quarantineOrphans = false, fixFolderRefs = false } = {}) {
+    const quarantineDir = path.join(report.libraryPath, '.quarantine', String(Date.now()));
+    const repaired = { orphans: 0, folderRefs: 0, quarantineDir };
+
+    if (quarantineOrphans && report.issues.orphans.length > 0) {
+        await fs.promises.mkdir(quarantineDir, { recursive: true });
+        for (const orphan of report.issues.orphans) {
+            await fs.promises.rename(orphan.dir, path.join(quarantineDir, path.basename(orphan.dir)));
+            repaired.orphans++;
+        }
+    }
+
+    if (fixFolderRefs && report.issues.danglingFolderRefs.length > 0) {
+        const backupDir = path.join(quarantineDir, 'metadata');
+        await fs.promises.mkdir(backupDir, { recursive: true });
+        for (const ref of report.issues.danglingFolderRefs) {
+            const metadataPath = path.join(ref.dir, 'metadata.json');
+            const item = await readJson(metadataPath);
+            await fs.promises.copyFile(metadataPath, path.join(backupDir, `${path.basename(ref.dir)}.json`));
+            item.folders = (item.folders || []).filter(id => !ref.folderIds.includes(id));
+            // The item this is meant to repair must not be left half-written
+            await writeFileAtomic(metadataPath, JSON.stringify(item));
+            repaired.folderRefs++;
+        }
+    }
+
+    return repaired;
+}
+
+const SNAPSHOT_DIR = path.join(os.homedir(), '.eaglecooler', 'recent-lib', 'snapshots');
+const LIBRARY_METADATA_FILES = ['metadata.json', 'tags.json', 'mtime.json', 'actions.json', 'saved-filters.json'];
+
+// Snapshots of one library live together, keyed by a hash of its path
+function getSnapshotDir(libraryPath) {
+    const hash = crypto.createHash('sha1').update(libraryPath).digest('hex').slice(0, 8);
+    return path.join(SNAPSHOT_DIR, `${path.basename(libraryPath, '.library')}-${hash}`);
+}
+
+// Library-level JSON files plus every item's metadata.json, keyed by relative path
+async function readLibraryMetadataFiles(libraryPath) {
+    const files = {};
+    for (const name of LIBRARY_METADATA_FILES) {
+        try {
+            files[name] = await fs.promises.readFile(path.join(libraryPath, name), 'utf8');
+        } catch {
+            // Older libraries don't have every file
+        }
+    }
+
+    const imagesDir = path.join(libraryPath, 'images');
+    const entries = await fs.promises.readdir(imagesDir, { withFileTypes: true }).catch(() => []);
+    const itemDirs = entries.filter(entry => entry.isDirectory() && entry.name.endsWith('.info'));
+    await mapWithConcurrency(itemDirs, HEALTH_CONCURRENCY, async entry => {
+        const relativePath = `images/${entry.name}/metadata.json`;
+        try {
+            files[relativePath] = await fs.promises.readFile(path.join(imagesDir, entry.name, 'metadata.json'), 'utf8');
+        } catch {
+            // Orphaned item folder, nothing to keep
+        }
+    });
+    return files;
+}
+
+// `<createdAt>.json.gz` holds the metadata; `<createdAt>.meta.json` beside it holds just
+// the header, so listing snapshots doesn't have to unpack every one of them
+function getSnapshotHeaderFile(snapshotFile) {
+    return snapshotFile.replace(/\.json\.gz$/, '.meta.json');
+}
+
+// Metadata only, never image binaries, gzipped into a single JSON document
+async function createSnapshot(libraryPath, { reason = 'manual' } = {}) {
+    const files = await readLibraryMetadataFiles(libraryPath);
+    const createdAt = Date.now();
+    const header = {
+        libraryPath,
+        createdAt,
+        reason,
+        itemCount: Object.keys(files).filter(file => file.startsWith('images/')).length
+    };
+
+    const snapshotDir = getSnapshotDir(libraryPath);
+    await fs.promises.mkdir(snapshotDir, { recursive: true });
+    const snapshotFile = path.join(snapshotDir, `${createdAt}.json.gz`);
+    await fs.promises.writeFile(snapshotFile, await gzipAsync(JSON.stringify({ ...header, files })));
+    await fs.promises.writeFile(getSnapshotHeaderFile(snapshotFile), JSON.stringify(header));
+    return { file: snapshotFile, createdAt, reason, itemCount: header.itemCount };
+}
+
+async function readSnapshot(snapshotFile) {
+    const data = await fs.promises.readFile(snapshotFile);
+    return JSON.parse((await gunzipAsync(data)).toString('utf8'));
+}
+
+async function readSnapshotHeader(snapshotFile) {
+    try {
+        return JSON.parse(await fs.promises.readFile(getSnapshotHeaderFile(snapshotFile), 'utf8'));
+    } catch {
+        // Missing or damaged header file: the full snapshot still has everything
+        return readSnapshot(snapshotFile);
+    }
+}
+
+async function listSnapshots(libraryPath) {
+    const snapshotDir = getSnapshotDir(libraryPath);
+    const files = await fs.promises.readdir(snapshotDir).catch(() => []);
+    const snapshots = [];
+    for (const file of files.filter(name => name.endsWith('.json.gz')).sort().reverse()) {
+        const snapshotFile = path.join(snapshotDir, file);
+        try {
+            const { createdAt, reason, itemCount } = await readSnapshotHeader(snapshotFile);
+            snapshots.push({ file: snapshotFile, createdAt, reason, itemCount });
+        } catch (error) {
+            console.error('Skipping unreadable snapshot:', file, error);
+        }
+    }
+    return snapshots;
+}
+
+function parseItems(files) {
+    const items = new Map();
+    for (const [relativePath, content] of Object.entries(files)) {
+        if (!relativePath.startsWith('images/')) continue;
+        try {
+            const item = JSON.parse(content);
+            items.set(item.id, item);
+        } catch {
+            // Unparseable item metadata is left out of the comparison
+        }
+    }
+    return items;
+}
+
+// What changed in the library since the snapshot was taken
+async function diffSnapshot(snapshotFile) {
+    const snapshot = await readSnapshot(snapshotFile);
+    const before = parseItems(snapshot.files);
+    const after = parseItems(await readLibraryMetadataFiles(snapshot.libraryPath));
+    const diff = { added: [], removed: [], retagged: [], modified: [] };
+
+    for (const [id, item] of after) {
+        const old = before.get(id);
+        if (!old) {
+            diff.added.push({ id, name: item.name });
+            continue;
+        }
+
+        const oldTags = [...(old.tags || [])].sort();
+        const newTags = [...(item.tags || [])].sort();
+        if (JSON.stringify(oldTags) !== JSON.stringify(newTags)) {
+            diff.retagged.push({
+                id,
+                name: item.name,
+                addedTags: newTags.filter(tag => !oldTags.includes(tag)),
+                removedTags: oldTags.filter(tag => !newTags.includes(tag))
+            });
+        } else if (JSON.stringify(old) !== JSON.stringify(item)) {
+            diff.modified.push({ id, name: item.name });
+        }
+    }
+    for (const [id, item] of before) {
+        if (!after.has(id)) {
+            diff.removed.push({ id, name: item.name });
+        }
+    }
+    return diff;
+}
+
+// Write the snapshot's metadata back. The current state is snapshotted first so a
+// restore can itself be undone. Items deleted since have no files to restore and are skipped;
+// items added since aren't in the snapshot, so their metadata is left as it is.
+async function restoreSnapshot(snapshotFile) {
+    const snapshot = await readSnapshot(snapshotFile);
+    const libraryPath = snapshot.libraryPath;
+    const root = path.resolve(libraryPath);
+
+    // Snapshot files are plain JSON on disk; refuse any entry that would land outside the library
+    const targets = Object.entries(snapshot.files).map(([relativePath, content]) => {
+        const target = path.resolve(root, ...relativePath.split('/'));
+        if (!target.startsWith(root + path.sep)) {
+            throw new Error(`Snapshot entry "${relativePath}" points outside the library`);
+        }
+        return { target, content };
+    });
+
+    const safetySnapshot = await createSnapshot(libraryPath, { reason: 'before restore' });
+    const itemDirs = await fs.promises.readdir(path.join(libraryPath, 'images')).catch(() => []);
+    const kept = itemDirs.filter(name => name.endsWith('.info') &&
+        !(`images/${name}/metadata.json` in snapshot.files)).length;
+
+    let restored = 0;
+    let skipped = 0;
+    for (const { target, content } of targets) {
+        try {
+            await fs.promises.access(path.dirname(target));
+        } catch {
+            skipped++;
+            continue;
+        }
+        await fs.promises.writeFile(target, content);
+        restored++;
+    }
+    return { restored, skipped, kept, safetySnapshot };
+}
 
 module.exports = {
     name: 'Recent Libraries',
     description: 'View and manage your recent Eagle libraries',
 
+    settingsStore: new EagleSettingsStore(),
+    curationStore: new LibraryCurationStore(),
+
     async getRecentLibraries() {
         try {
-            // Get the roaming path for Eagle settings
-            const roamingPath = process.env.APPDATA || 
-                              (process.platform === 'darwin' ? 
-                               process.env.HOME + '/Library/Application Support' : 
-                               process.env.HOME + "/.local/share");
-            const settingsPath = path.join(roamingPath, 'eagle', 'Settings');
-            
-            const settingsData = await readFileAsync(settingsPath, 'utf8');
-            const settings = JSON.parse(settingsData);
-            
+            const settings = await this.settingsStore.read();
             return settings.libraryHistory || [];
         } catch (error) {
             console.error('Failed to read recent libraries:', error);
@@ -32,52 +753,166 @@ module.exports = {
     },
 
     async checkLibraryValidity(libraryPath) {
-        try {
-            await fs.promises.access(libraryPath);
-            return true;
-        } catch {
-            return false;
+        return (await this.checkLibraryStatus(libraryPath)) === 'valid';
+    },
+
+    checkLibraryStatus(libraryPath, options) {
+        return checkLibraryStatus(libraryPath, options);
+    },
+
+    async checkLibraryStatuses(libraryPaths, options = {}) {
+        if (options.fresh) {
+            // Re-check each volume once for the whole batch, not once per library
+            for (const libraryPath of libraryPaths) {
+                const volumeRoot = getVolumeRoot(libraryPath);
+                if (volumeRoot) volumeCache.delete(volumeRoot);
+            }
         }
+        return mapWithConcurrency(libraryPaths, VALIDITY_CONCURRENCY,
+            libraryPath => this.checkLibraryStatus(libraryPath, options));
     },
 
     async clearInvalidPaths() {
         try {
-            const roamingPath = process.env.APPDATA || 
-                              (process.platform === 'darwin' ? 
-                               process.env.HOME + '/Library/Application Support' : 
-                               process.env.HOME + "/.local/share");
-            const settingsPath = path.join(roamingPath, 'eagle', 'Settings');
-            
-            const settingsData = await readFileAsync(settingsPath, 'utf8');
-            const settings = JSON.parse(settingsData);
-            
-            // Filter out invalid paths
-            const validPaths = [];
-            for (const path of settings.libraryHistory) {
-                if (await this.checkLibraryValidity(path)) {
-                    validPaths.push(path);
-                }
-            }
-            
-            settings.libraryHistory = validPaths;
-            await writeFileAsync(settingsPath, JSON.stringify(settings, null, 2));
+            // Checking can take seconds per offline volume, so it happens before the
+            // update rather than while holding it
+            const history = (await this.settingsStore.read()).libraryHistory || [];
+            const statuses = await this.checkLibraryStatuses(history, { fresh: true });
+            // Only drop libraries that are really gone; ones on an unplugged drive stay
+            const missing = new Set(history.filter((lib, index) => statuses[index] === 'missing'));
+            const settings = await this.settingsStore.update(settings => {
+                settings.libraryHistory = (settings.libraryHistory || []).filter(lib => !missing.has(lib));
+            });
             
-            return validPaths;
+            return settings.libraryHistory;
         } catch (error) {
             console.error('Failed to clear invalid paths:', error);
             throw error;
         }
     },
 
-    async switchLibrary(libraryPath) {
+    async removeFromHistory(libraryPath) {
+        try {
+            const settings = await this.settingsStore.update(settings => {
+                settings.libraryHistory = (settings.libraryHistory || []).filter(lib => lib !== libraryPath);
+            });
+            
+            return settings.libraryHistory;
+        } catch (error) {
+            console.error('Failed to remove library from history:', error);
+            throw error;
+        }
+    },
+
+    // Current history in display order, with each entry's pin, alias and color
+    async exportHistory(filePath) {
+        const libraries = this.curationStore.apply(await this.getRecentLibraries());
+        const rows = libraries.map(lib => ({ path: lib, ...this.curationStore.get(lib) }));
+
+        const content = path.extname(filePath).toLowerCase() === '.csv' ?
+            toCsv(rows) :
+            JSON.stringify({ exportedAt: new Date().toISOString(), libraries: rows }, null, 2);
+        await fs.promises.writeFile(filePath, content);
+        return rows.length;
+    },
+
+    async readHistoryExport(filePath) {
+        const data = await fs.promises.readFile(filePath, 'utf8');
+        const rows = path.extname(filePath).toLowerCase() === '.csv' ?
+            parseCsv(data) :
+            JSON.parse(data).libraries;
+        if (!Array.isArray(rows)) {
+            throw new Error('No library list found in file');
+        }
+
+        return rows
+            .filter(row => row && typeof row.path === 'string' && row.path.trim())
+            .map(row => ({
+                path: row.path.trim(),
+                alias: row.alias || '',
+                color: LABEL_COLORS.includes(row.color) ? row.color : '',
+                pinned: row.pinned === true || row.pinned === 'true'
+            }));
+    },
+
+    // Remap every imported path and report whether it exists on this machine
+    async previewImport(rows, rulesText) {
+        const rules = parseRemapRules(rulesText);
+        const remapped = rows.map(row => ({ ...row, originalPath: row.path, path: remapPath(row.path, rules) }));
+        const statuses = await this.checkLibraryStatuses(remapped.map(row => row.path), { fresh: true });
+        return remapped.map((row, index) => ({ ...row, status: statuses[index] }));
+    },
+
+    // Append new paths to Eagle's history (undoable) and carry over their curation
+    async importHistory(rows) {
+        const settings = await this.settingsStore.update(settings => {
+            const history = settings.libraryHistory || [];
+            settings.libraryHistory = history.concat(
+                rows.map(row => row.path).filter(lib => !history.includes(lib)));
+        });
+
+        for (const row of rows) {
+            const { alias, color, pinned } = row;
+            if (alias || color || pinned) {
+                await this.curationStore.set(row.path, { alias, color, pinned });
+            }
+        }
+        return settings.libraryHistory;
+    },
+
+    async loadRemapRules() {
+        try {
+            return await fs.promises.readFile(REMAP_RULES_FILE, 'utf8');
+        } catch {
+            return '';
+        }
+    },
+
+    async saveRemapRules(rulesText) {
+        await fs.promises.mkdir(path.dirname(REMAP_RULES_FILE), { recursive: true });
+        await fs.promises.writeFile(REMAP_RULES_FILE, rulesText);
+    },
+
+    checkLibraryHealth(libraryPath) {
+        return checkLibraryHealth(libraryPath);
+    },
+
+    repairLibrary(report, options) {
+        return repairLibrary(report, options);
+    },
+
+    createSnapshot(libraryPath) {
+        return createSnapshot(libraryPath);
+    },
+
+    listSnapshots(libraryPath) {
+        return listSnapshots(libraryPath);
+    },
+
+    diffSnapshot(snapshotFile) {
+        return diffSnapshot(snapshotFile);
+    },
+
+    restoreSnapshot(snapshotFile) {
+        return restoreSnapshot(snapshotFile);
+    },
+
+    async undoLastChange() {
         try {
-            return await EagleApi.library.switch(libraryPath);
+            const settings = await this.settingsStore.undo();
+            return settings.libraryHistory || [];
         } catch (error) {
-            console.error('Failed to switch library:', error);
+            console.error('Failed to undo last change:', error);
             throw error;
         }
     },
 
+    switchHistory,
+    switchLibrary,
+    switchHistoryStep,
+
+    createLibrary,
+
     styles: ['styles.css'],
     
     render: () => `
@@ -87,6 +922,11 @@ module.exports = {
                     <input type="text" id="library-search" placeholder="Filter libraries...">
                 </div>
                 <div class="button-container">
+                    <button id="switch-back" class="clear-invalid-btn" disabled>← Back</button>
+                    <button id="switch-forward" class="clear-invalid-btn" disabled>Forward →</button>
+                    <button id="export-history" class="clear-invalid-btn">Export</button>
+                    <button id="import-history" class="clear-invalid-btn">Import</button>
+                    <button id="undo-change" class="clear-invalid-btn" disabled>Undo Last Change</button>
                     <button id="clear-invalid" class="clear-invalid-btn">Clear Invalid Paths</button>
                 </div>
             </div>
@@ -100,29 +940,81 @@ module.exports = {
         const searchInput = container.querySelector('#library-search');
         const resultsDiv = container.querySelector('#library-results');
         const clearInvalidBtn = container.querySelector('#clear-invalid');
+        const undoBtn = container.querySelector('#undo-change');
+        const backBtn = container.querySelector('#switch-back');
+        const forwardBtn = container.querySelector('#switch-forward');
+        const exportBtn = container.querySelector('#export-history');
+        const importBtn = container.querySelector('#import-history');
         let searchTimeout = null;
         let libraries = [];
+        let metadataObserver = null;
+        let draggedItem = null;
+        let displayToken = 0;
+        const curation = module.exports.curationStore;
 
-        function formatLibraryItem(libraryPath, isValid) {
+        function formatLibraryItem(libraryPath, status, draggable) {
+            const isValid = status === 'valid';
             const dirname = path.dirname(libraryPath);
             const basename = path.basename(libraryPath, '.library');
-            const statusIcon = isValid ? 
-                '<span class="status-icon valid">✓</span>' : 
-                '<span class="status-icon invalid">⚠</span>';
+            const { pinned, alias, color } = curation.get(libraryPath);
+            const statusIcon = {
+                valid: '<span class="status-icon valid" title="Library found">✓</span>',
+                missing: '<span class="status-icon invalid" title="Library not found">⚠</span>',
+                unreachable: '<span class="status-icon unreachable" title="Drive or network share not reachable">⏏</span>'
+            }[status];
+            const displayName = alias ?
+                `${escapeHtml(alias)} <span class="library-original-name">${escapeHtml(basename)}</span>` :
+                escapeHtml(basename);
+            const classes = [
+                'library-item',
+                isValid ? 'valid' : 'invalid',
+                status === 'unreachable' ? 'unreachable' : '',
+                pinned ? 'pinned' : '',
+                color ? `label-${color}` : ''
+            ].filter(Boolean).join(' ');
             
             return `
-                <li class="library-item ${isValid ? 'valid' : 'invalid'}" data-path="${libraryPath}">
+                <li class="${classes}" data-path="${escapeHtml(libraryPath)}" draggable="${draggable}">
+                    <img class="library-icon hidden" alt="">
                     <div class="library-info">
-                        <div class="library-name">${basename} ${statusIcon}</div>
-                        <div class="library-path">${dirname}</div>
+                        <div class="library-name">
+                            <span class="library-title">${pinned ? '<span class="pin-icon">📌</span>' : ''}${displayName}</span>
+                            ${statusIcon}
+                        </div>
+                        <div class="library-path">${escapeHtml(dirname)}</div>
+                        <div class="library-meta">${isValid ? 'Loading details...' : ''}</div>
                     </div>
                 </li>
             `;
         }
 
+        async function updateSwitchButtons() {
+            const history = module.exports.switchHistory;
+            await history.load();
+            for (const [button, direction] of [[backBtn, 'back'], [forwardBtn, 'forward']]) {
+                const target = history.peek(direction);
+                button.disabled = !target;
+                button.title = target ? `Switch ${direction} to ${path.basename(target, '.library')}` : '';
+            }
+        }
+
+        async function handleSwitchStep(direction) {
+            backBtn.disabled = true;
+            forwardBtn.disabled = true;
+            try {
+                await module.exports.switchHistoryStep(direction);
+            } catch (error) {
+                eagle.dialog.showMessageBox({
+                    type: 'error',
+                    message: 'Failed to switch library: ' + error.message
+                });
+            }
+            updateSwitchButtons();
+        }
+
         async function handleLibraryClick(e) {
             const libraryItem = e.target.closest('.library-item');
-            if (!libraryItem) return;
+            if (!libraryItem || e.target.closest('.alias-input')) return;
 
             const libraryPath = libraryItem.dataset.path;
             libraryItem.classList.add('switching');
@@ -136,25 +1028,215 @@ module.exports = {
                 libraryItem.classList.remove('switching');
                 libraryItem.classList.add('error');
                 setTimeout(() => libraryItem.classList.remove('error'), 2000);
+                eagle.dialog.showMessageBox({
+                    type: 'error',
+                    message: 'Failed to switch library: ' + error.message
+                });
             }
+            updateSwitchButtons();
+        }
+
+        function promptCreateLibrary(directory) {
+            return promptCreateLibraryDialog(directory, async libraryPath => {
+                await module.exports.switchLibrary(libraryPath);
+                updateSwitchButtons();
+            });
+        }
+
+        function handleLibraryContextMenu(e) {
+            const libraryItem = e.target.closest('.library-item');
+            if (!libraryItem) return;
+            e.preventDefault();
+
+            const libraryPath = libraryItem.dataset.path;
+            const name = path.basename(libraryPath, '.library');
+            // "Open in New Window" is left out: the plugin API has no call for it, only
+            // a switch of the library shown in this window
+            eagle.contextMenu.open([
+                {
+                    id: 'reveal',
+                    label: 'Reveal in File Manager',
+                    click: () => eagle.shell.showItemInFolder(libraryPath)
+                },
+                {
+                    id: 'copy-path',
+                    label: 'Copy Path',
+                    click: () => eagle.clipboard.writeText(libraryPath)
+                },
+                {
+                    id: 'copy-markdown',
+                    label: 'Copy as Markdown Link',
+                    click: () => eagle.clipboard.writeText(`[${name}](${pathToFileURL(libraryPath).href})`)
+                },
+                {
+                    id: 'health',
+                    label: 'Check Health...',
+                    click: () => showHealthReport(libraryPath)
+                },
+                {
+                    id: 'snapshots',
+                    label: 'Metadata Snapshots...',
+                    click: () => showSnapshots(libraryPath)
+                },
+                { type: 'separator' },
+                {
+                    id: 'pin',
+                    label: curation.get(libraryPath).pinned ? 'Unpin' : 'Pin to Top',
+                    click: () => updateCuration(libraryPath, { pinned: !curation.get(libraryPath).pinned })
+                },
+                {
+                    id: 'alias',
+                    label: 'Set Alias...',
+                    click: () => startAliasEdit(libraryItem)
+                },
+                {
+                    id: 'color',
+                    label: 'Color Label',
+                    submenu: [
+                        ...LABEL_COLORS.map(color => ({
+                            id: `color-${color}`,
+                            label: color.charAt(0).toUpperCase() + color.slice(1),
+                            click: () => updateCuration(libraryPath, { color })
+                        })),
+                        {
+                            id: 'color-none',
+                            label: 'None',
+                            click: () => updateCuration(libraryPath, { color: null })
+                        }
+                    ]
+                },
+                {
+                    id: 'remove',
+                    label: 'Remove from History',
+                    click: async () => {
+                        try {
+                            libraries = await module.exports.removeFromHistory(libraryPath);
+                            await displayLibraries(searchInput.value);
+                            await updateUndoState();
+                        } catch (error) {
+                            eagle.dialog.showMessageBox({
+                                type: 'error',
+                                message: 'Failed to remove library from history: ' + error.message
+                            });
+                        }
+                    }
+                },
+                {
+                    id: 'create-library',
+                    label: 'Create New Library Here...',
+                    click: async () => {
+                        const createdPath = await promptCreateLibrary(path.dirname(libraryPath));
+                        if (createdPath) {
+                            libraries = await module.exports.getRecentLibraries();
+                            await displayLibraries(searchInput.value);
+                        }
+                    }
+                }
+            ]);
+        }
+
+        async function updateCuration(libraryPath, changes) {
+            try {
+                await curation.set(libraryPath, changes);
+                await displayLibraries(searchInput.value);
+            } catch (error) {
+                eagle.dialog.showMessageBox({
+                    type: 'error',
+                    message: 'Failed to update library: ' + error.message
+                });
+            }
+        }
+
+        function startAliasEdit(libraryItem) {
+            const libraryPath = libraryItem.dataset.path;
+            const title = libraryItem.querySelector('.library-title');
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'alias-input';
+            input.placeholder = path.basename(libraryPath, '.library');
+            input.value = curation.get(libraryPath).alias || '';
+            title.replaceWith(input);
+            input.focus();
+            input.select();
+
+            let done = false;
+            const finish = async (save) => {
+                if (done) return;
+                done = true;
+                if (save) {
+                    await updateCuration(libraryPath, { alias: input.value.trim() });
+                } else {
+                    await displayLibraries(searchInput.value);
+                }
+            };
+            input.addEventListener('keydown', e => {
+                if (e.key === 'Enter') finish(true);
+                if (e.key === 'Escape') finish(false);
+            });
+            input.addEventListener('blur', () => finish(true));
+        }
+
+        function handleDragStart(e) {
+            draggedItem = e.target.closest('.library-item');
+            if (!draggedItem) return;
+            draggedItem.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+        }
+
+        function handleDragOver(e) {
+            if (!draggedItem) return;
+            e.preventDefault();
+            const target = e.target.closest('.library-item');
+            if (!target || target === draggedItem) return;
+
+            // Drop above or below the hovered item depending on which half the cursor is in
+            const rect = target.getBoundingClientRect();
+            const after = e.clientY > rect.top + rect.height / 2;
+            target.parentNode.insertBefore(draggedItem, after ? target.nextSibling : target);
+        }
+
+        async function handleDragEnd() {
+            if (!draggedItem) return;
+            draggedItem.classList.remove('dragging');
+            draggedItem = null;
+
+            const order = Array.from(resultsDiv.querySelectorAll('.library-item'))
+                .map(item => item.dataset.path);
+            try {
+                await curation.setOrder(order);
+            } catch (error) {
+                console.error('Failed to save library order:', error);
+            }
+            // Re-apply grouping in case an item was dragged across the pinned boundary
+            await displayLibraries(searchInput.value);
         }
 
         async function displayLibraries(filterText = '') {
+            const token = ++displayToken;
+            if (metadataObserver) {
+                metadataObserver.disconnect();
+                metadataObserver = null;
+            }
             resultsDiv.innerHTML = '<p>Loading...</p>';
             
             try {
-                const filteredLibraries = libraries.filter(lib => 
-                    path.basename(lib, '.library').toLowerCase().includes(filterText.toLowerCase()));
+                const needle = filterText.toLowerCase();
+                const filteredLibraries = curation.apply(libraries).filter(lib => 
+                    path.basename(lib, '.library').toLowerCase().includes(needle) ||
+                    (curation.get(lib).alias || '').toLowerCase().includes(needle));
+                // Reordering a filtered subset would be ambiguous, so only the full list is draggable
+                const draggable = !filterText;
 
                 if (filteredLibraries.length === 0) {
                     resultsDiv.innerHTML = '<p class="no-results">No libraries found</p>';
                     return;
                 }
 
-                const libraryElements = await Promise.all(filteredLibraries.map(async lib => {
-                    const isValid = await module.exports.checkLibraryValidity(lib);
-                    return formatLibraryItem(lib, isValid);
-                }));
+                const statuses = await module.exports.checkLibraryStatuses(filteredLibraries);
+                // Slow volumes can outlast the next keystroke; only the newest filter renders
+                if (token !== displayToken) return;
+                const libraryElements = filteredLibraries.map((lib, index) =>
+                    formatLibraryItem(lib, statuses[index], draggable));
 
                 resultsDiv.innerHTML = `
                     <ul class="library-list">
@@ -162,9 +1244,15 @@ module.exports = {
                     </ul>
                 `;
 
-                resultsDiv.querySelector('.library-list').addEventListener('click', handleLibraryClick);
+                const libraryList = resultsDiv.querySelector('.library-list');
+                libraryList.addEventListener('click', handleLibraryClick);
+                libraryList.addEventListener('contextmenu', handleLibraryContextMenu);
+                libraryList.addEventListener('dragstart', handleDragStart);
+                libraryList.addEventListener('dragover', handleDragOver);
+                libraryList.addEventListener('dragend', handleDragEnd);
+                metadataObserver = observeLibraryMetadata(libraryList, '.library-item.valid');
             } catch (error) {
-                resultsDiv.innerHTML = `<p class="error">Error: ${error.message}</p>`;
+                resultsDiv.innerHTML = `<p class="error">Error: ${escapeHtml(error.message)}</p>`;
             }
         }
 
@@ -175,6 +1263,7 @@ module.exports = {
             try {
                 libraries = await module.exports.clearInvalidPaths();
                 await displayLibraries(searchInput.value);
+                await updateUndoState();
                 clearInvalidBtn.textContent = 'Cleared!';
                 setTimeout(() => {
                     clearInvalidBtn.textContent = 'Clear Invalid Paths';
@@ -189,6 +1278,376 @@ module.exports = {
             }
         }
 
+        async function updateUndoState() {
+            undoBtn.disabled = !(await module.exports.settingsStore.canUndo());
+        }
+
+        async function handleUndo() {
+            undoBtn.disabled = true;
+            undoBtn.textContent = 'Undoing...';
+
+            try {
+                libraries = await module.exports.undoLastChange();
+                await displayLibraries(searchInput.value);
+                undoBtn.textContent = 'Undo Last Change';
+            } catch (error) {
+                undoBtn.textContent = 'Error!';
+                await new Promise(resolve => setTimeout(resolve, 2000));
+                undoBtn.textContent = 'Undo Last Change';
+            }
+            await updateUndoState();
+        }
+
+        const HEALTH_CATEGORIES = {
+            missingFiles: { label: 'Items whose file is missing', severity: 'error' },
+            orphans: { label: 'Orphaned item folders', severity: 'error' },
+            danglingFolderRefs: { label: 'Items filed in deleted folders', severity: 'warning' },
+            missingCovers: { label: 'Folders whose cover item is gone', severity: 'warning' },
+            trashedCovers: { label: 'Folders whose cover item is in the trash', severity: 'warning' },
+            missingThumbnails: { label: 'Items without a thumbnail', severity: 'warning' }
+        };
+
+        function formatHealthIssue(key, issue) {
+            switch (key) {
+                case 'orphans':
+                    return `${escapeHtml(path.basename(issue.dir))}: ${escapeHtml(issue.reason)}`;
+                case 'missingFiles':
+                    return escapeHtml(issue.file);
+                case 'danglingFolderRefs':
+                    return `${escapeHtml(issue.name)} (${issue.folderIds.map(escapeHtml).join(', ')})`;
+                case 'missingCovers':
+                case 'trashedCovers':
+                    return `${escapeHtml(issue.folderName)} → ${escapeHtml(issue.coverId)}`;
+                default:
+                    return `${escapeHtml(issue.name)} (${escapeHtml(issue.id)})`;
+            }
+        }
+
+        function formatHealthReport(report) {
+            const categories = Object.entries(HEALTH_CATEGORIES).map(([key, { label, severity }]) => {
+                const issues = report.issues[key];
+                const shown = issues.slice(0, 50).map(issue => `<li>${formatHealthIssue(key, issue)}</li>`).join('');
+                const more = issues.length > 50 ? `<li>…and ${issues.length - 50} more (see exported report)</li>` : '';
+                return `
+                    <details class="health-category ${issues.length ? severity : 'ok'}">
+                        <summary><span class="health-count">${issues.length}</span> ${label}</summary>
+                        <ul>${shown}${more}</ul>
+                    </details>
+                `;
+            }).join('');
+
+            return `
+                <div class="health-report">
+                    <div class="library-name">${escapeHtml(path.basename(report.libraryPath, '.library'))}</div>
+                    <div class="library-path">${escapeHtml(report.libraryPath)} · ${report.counts.items} items checked${report.counts.trashed ? ` (${report.counts.trashed} in the trash)` : ''}</div>
+                    ${report.metadataError ? `<p class="error">${escapeHtml(report.metadataError)}</p>` : ''}
+                    ${categories}
+                    <div class="health-repairs">
+                        <label><input type="checkbox" id="repair-orphans" ${report.counts.orphans ? '' : 'disabled'}> Move orphaned item folders to quarantine</label>
+                        <label><input type="checkbox" id="repair-folder-refs" ${report.counts.danglingFolderRefs ? '' : 'disabled'}> Remove references to deleted folders</label>
+                    </div>
+                    <div class="button-container">
+                        <button id="health-back" class="clear-invalid-btn">Back</button>
+                        <button id="health-export" class="clear-invalid-btn">Export JSON</button>
+                        <button id="health-repair" class="clear-invalid-btn">Repair Selected</button>
+                    </div>
+                </div>
+            `;
+        }
+
+        async function showHealthReport(libraryPath) {
+            resultsDiv.innerHTML = '<p>Checking library health...</p>';
+            let report;
+            try {
+                report = await module.exports.checkLibraryHealth(libraryPath);
+            } catch (error) {
+                resultsDiv.innerHTML = `<p class="error">Error: ${escapeHtml(error.message)}</p>`;
+                return;
+            }
+
+            resultsDiv.innerHTML = formatHealthReport(report);
+            resultsDiv.querySelector('#health-back').addEventListener('click', () => displayLibraries(searchInput.value));
+
+            resultsDiv.querySelector('#health-export').addEventListener('click', async () => {
+                const result = await eagle.dialog.showSaveDialog({
+                    title: 'Export Health Report',
+                    defaultPath: `${path.basename(libraryPath, '.library')}-health.json`,
+                    filters: [{ name: 'JSON', extensions: ['json'] }]
+                });
+                if (result.canceled || !result.filePath) return;
+                await fs.promises.writeFile(result.filePath, JSON.stringify(report, null, 2));
+            });
+
+            resultsDiv.querySelector('#health-repair').addEventListener('click', async () => {
+                const options = {
+                    quarantineOrphans: resultsDiv.querySelector('#repair-orphans').checked,
+                    fixFolderRefs: resultsDiv.querySelector('#repair-folder-refs').checked
+                };
+                if (!options.quarantineOrphans && !options.fixFolderRefs) return;
+
+                const { response } = await eagle.dialog.showMessageBox({
+                    type: 'warning',
+                    message: 'Repair this library?',
+                    detail: 'Affected files are moved or copied into the library\'s .quarantine folder first. ' +
+                        'Switch Eagle to another library before repairing, or Eagle may overwrite the changes.',
+                    buttons: ['Repair', 'Cancel']
+                });
+                if (response !== 0) return;
+
+                try {
+                    const repaired = await module.exports.repairLibrary(report, options);
+                    eagle.dialog.showMessageBox({
+                        type: 'info',
+                        message: `Quarantined ${repaired.orphans} orphaned folders and fixed ${repaired.folderRefs} items.`,
+                        detail: repaired.quarantineDir
+                    });
+                    await showHealthReport(libraryPath);
+                } catch (error) {
+                    eagle.dialog.showMessageBox({
+                        type: 'error',
+                        message: 'Failed to repair library: ' + error.message
+                    });
+                }
+            });
+        }
+
+        function formatSnapshotDiff(diff) {
+            const sections = [
+                ['added', 'Added since snapshot (a restore leaves these as they are)', item => escapeHtml(item.name)],
+                ['removed', 'Removed since snapshot (a restore can\'t bring these back)', item => escapeHtml(item.name)],
+                ['retagged', 'Retagged', item => `${escapeHtml(item.name)}: ` +
+                    [...item.addedTags.map(tag => `+${escapeHtml(tag)}`), ...item.removedTags.map(tag => `−${escapeHtml(tag)}`)].join(' ')],
+                ['modified', 'Other metadata changed', item => escapeHtml(item.name)]
+            ];
+            return sections.map(([key, label, format]) => {
+                const items = diff[key];
+                const shown = items.slice(0, 50).map(item => `<li>${format(item)}</li>`).join('');
+                const more = items.length > 50 ? `<li>…and ${items.length - 50} more</li>` : '';
+                return `
+                    <details class="health-category ${items.length ? 'warning' : 'ok'}">
+                        <summary><span class="health-count">${items.length}</span> ${label}</summary>
+                        <ul>${shown}${more}</ul>
+                    </details>
+                `;
+            }).join('');
+        }
+
+        async function showSnapshots(libraryPath) {
+            resultsDiv.innerHTML = '<p>Loading snapshots...</p>';
+            const snapshots = await module.exports.listSnapshots(libraryPath);
+            const rows = snapshots.map((snapshot, index) => `
+                <li class="snapshot-row">
+                    <div class="library-info">
+                        <div class="library-name">${new Date(snapshot.createdAt).toLocaleString()}</div>
+                        <div class="library-path">${snapshot.itemCount} items · ${escapeHtml(snapshot.reason)}</div>
+                    </div>
+                    <button class="clear-invalid-btn" data-action="diff" data-index="${index}">Diff</button>
+                    <button class="clear-invalid-btn" data-action="restore" data-index="${index}">Restore</button>
+                </li>
+            `).join('');
+
+            resultsDiv.innerHTML = `
+                <div class="health-report">
+                    <div class="library-name">${escapeHtml(path.basename(libraryPath, '.library'))}</div>
+                    <div class="library-path">${escapeHtml(libraryPath)}</div>
+                    ${rows ? `<ul class="library-list">${rows}</ul>` : '<p class="no-results">No snapshots yet</p>'}
+                    <div id="snapshot-diff"></div>
+                    <div class="button-container">
+                        <button id="snapshot-back" class="clear-invalid-btn">Back</button>
+                        <button id="snapshot-create" class="clear-invalid-btn">Take Snapshot</button>
+                    </div>
+                </div>
+            `;
+            const diffDiv = resultsDiv.querySelector('#snapshot-diff');
+
+            resultsDiv.querySelector('#snapshot-back').addEventListener('click', () => displayLibraries(searchInput.value));
+            resultsDiv.querySelector('#snapshot-create').addEventListener('click', async (e) => {
+                e.target.disabled = true;
+                e.target.textContent = 'Saving...';
+                try {
+                    await module.exports.createSnapshot(libraryPath);
+                    await showSnapshots(libraryPath);
+                } catch (error) {
+                    e.target.disabled = false;
+                    e.target.textContent = 'Take Snapshot';
+                    diffDiv.innerHTML = `<p class="error">Error: ${escapeHtml(error.message)}</p>`;
+                }
+            });
+
+            resultsDiv.querySelector('.health-report').addEventListener('click', async (e) => {
+                const button = e.target.closest('button[data-action]');
+                if (!button) return;
+                const snapshot = snapshots[Number(button.dataset.index)];
+
+                if (button.dataset.action === 'diff') {
+                    diffDiv.innerHTML = '<p>Comparing...</p>';
+                    try {
+                        diffDiv.innerHTML = formatSnapshotDiff(await module.exports.diffSnapshot(snapshot.file));
+                    } catch (error) {
+                        diffDiv.innerHTML = `<p class="error">Error: ${escapeHtml(error.message)}</p>`;
+                    }
+                    return;
+                }
+
+                const { response } = await eagle.dialog.showMessageBox({
+                    type: 'warning',
+                    message: `Restore metadata from ${new Date(snapshot.createdAt).toLocaleString()}?`,
+                    detail: 'The current metadata is snapshotted first. Items added since the snapshot keep their ' +
+                        'current metadata, and items deleted since can\'t be brought back. ' +
+                        'Switch Eagle to another library before restoring, or Eagle may overwrite the changes.',
+                    buttons: ['Restore', 'Cancel']
+                });
+                if (response !== 0) return;
+
+                try {
+                    const result = await module.exports.restoreSnapshot(snapshot.file);
+                    eagle.dialog.showMessageBox({
+                        type: 'info',
+                        message: `Restored ${result.restored} metadata files` +
+                            (result.skipped ? `, skipped ${result.skipped} items deleted since the snapshot` : '') +
+                            (result.kept ? `, left ${result.kept} items added since the snapshot unchanged.` : '.')
+                    });
+                    await showSnapshots(libraryPath);
+                } catch (error) {
+                    eagle.dialog.showMessageBox({
+                        type: 'error',
+                        message: 'Failed to restore snapshot: ' + error.message
+                    });
+                }
+            });
+        }
+
+        async function handleExport() {
+            const result = await eagle.dialog.showSaveDialog({
+                title: 'Export Library History',
+                defaultPath: 'library-history.json',
+                filters: [
+                    { name: 'JSON', extensions: ['json'] },
+                    { name: 'CSV', extensions: ['csv'] }
+                ]
+            });
+            if (result.canceled || !result.filePath) return;
+
+            try {
+                const count = await module.exports.exportHistory(result.filePath);
+                eagle.dialog.showMessageBox({
+                    type: 'info',
+                    message: `Exported ${count} libraries to ${path.basename(result.filePath)}`
+                });
+            } catch (error) {
+                eagle.dialog.showMessageBox({
+                    type: 'error',
+                    message: 'Failed to export library history: ' + error.message
+                });
+            }
+        }
+
+        function formatPreviewRow(row, index) {
+            const statusLabel = {
+                valid: '<span class="status-icon valid" title="Found on this machine">✓</span>',
+                missing: '<span class="status-icon invalid" title="Not found on this machine">⚠</span>',
+                unreachable: '<span class="status-icon unreachable" title="Drive or network share not reachable">⏏</span>'
+            }[row.status];
+            const remapped = row.path !== row.originalPath ?
+                `<div class="library-path">from ${escapeHtml(row.originalPath)}</div>` : '';
+
+            return `
+                <li class="import-row">
+                    <label>
+                        <input type="checkbox" data-index="${index}" ${row.status === 'valid' ? 'checked' : ''}>
+                        <div class="library-info">
+                            <div class="library-name">
+                                <span class="library-title">${escapeHtml(row.alias || path.basename(row.path, '.library'))}</span>
+                                ${statusLabel}
+                            </div>
+                            <div class="library-path">${escapeHtml(row.path)}</div>
+                            ${remapped}
+                        </div>
+                    </label>
+                </li>
+            `;
+        }
+
+        async function showImportPreview(rows) {
+            resultsDiv.innerHTML = `
+                <div class="import-preview">
+                    <label for="remap-rules">Path remapping rules (one per line, e.g. <code>Z:\Design => /Volumes/Design</code>)</label>
+                    <textarea id="remap-rules" rows="3"></textarea>
+                    <div id="remap-error" class="remap-error hidden"></div>
+                    <ul id="import-rows" class="library-list"></ul>
+                    <div class="button-container">
+                        <button id="cancel-import" class="clear-invalid-btn">Cancel</button>
+                        <button id="confirm-import" class="clear-invalid-btn">Merge Selected</button>
+                    </div>
+                </div>
+            `;
+            const rulesInput = resultsDiv.querySelector('#remap-rules');
+            const rulesError = resultsDiv.querySelector('#remap-error');
+            const rowsList = resultsDiv.querySelector('#import-rows');
+            const confirmBtn = resultsDiv.querySelector('#confirm-import');
+            let preview = [];
+            let previewTimeout = null;
+
+            async function updatePreview() {
+                try {
+                    preview = await module.exports.previewImport(rows, rulesInput.value);
+                    rulesError.classList.add('hidden');
+                } catch (error) {
+                    rulesError.textContent = error.message;
+                    rulesError.classList.remove('hidden');
+                    return;
+                }
+                rowsList.innerHTML = preview.map(formatPreviewRow).join('');
+            }
+
+            rulesInput.value = await module.exports.loadRemapRules();
+            rulesInput.addEventListener('input', () => {
+                clearTimeout(previewTimeout);
+                previewTimeout = setTimeout(updatePreview, 500);
+            });
+            resultsDiv.querySelector('#cancel-import').addEventListener('click', () => displayLibraries(searchInput.value));
+            confirmBtn.addEventListener('click', async () => {
+                const selected = Array.from(rowsList.querySelectorAll('input[type="checkbox"]:checked'))
+                    .map(checkbox => preview[Number(checkbox.dataset.index)]);
+                if (selected.length === 0) return;
+
+                confirmBtn.disabled = true;
+                try {
+                    await module.exports.saveRemapRules(rulesInput.value);
+                    libraries = await module.exports.importHistory(selected);
+                    await displayLibraries(searchInput.value);
+                    await updateUndoState();
+                } catch (error) {
+                    confirmBtn.disabled = false;
+                    eagle.dialog.showMessageBox({
+                        type: 'error',
+                        message: 'Failed to import library history: ' + error.message
+                    });
+                }
+            });
+
+            await updatePreview();
+        }
+
+        async function handleImport() {
+            const result = await eagle.dialog.showOpenDialog({
+                title: 'Import Library History',
+                properties: ['openFile'],
+                filters: [{ name: 'Library History', extensions: ['json', 'csv'] }]
+            });
+            if (result.canceled || result.filePaths.length === 0) return;
+
+            try {
+                const rows = await module.exports.readHistoryExport(result.filePaths[0]);
+                await showImportPreview(rows);
+            } catch (error) {
+                eagle.dialog.showMessageBox({
+                    type: 'error',
+                    message: 'Failed to read library history: ' + error.message
+                });
+            }
+        }
+
         function handleSearch() {
             if (searchTimeout) {
                 clearTimeout(searchTimeout);
@@ -198,8 +1657,24 @@ module.exports = {
 
         // Initialize
         libraries = await module.exports.getRecentLibraries();
+        await curation.load();
         searchInput.addEventListener('input', handleSearch);
         clearInvalidBtn.addEventListener('click', handleClearInvalid);
+        undoBtn.addEventListener('click', handleUndo);
+        backBtn.addEventListener('click', () => handleSwitchStep('back'));
+        forwardBtn.addEventListener('click', () => handleSwitchStep('forward'));
+        updateSwitchButtons();
+        exportBtn.addEventListener('click', handleExport);
+        importBtn.addEventListener('click', handleImport);
         await displayLibraries();
+        await updateUndoState();
+
+        // Return cleanup function
+        return () => {
+            clearTimeout(searchTimeout);
+            if (metadataObserver) {
+                metadataObserver.disconnect();
+            }
+        };
     }
 };
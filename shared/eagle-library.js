@@ -0,0 +1,436 @@
+// Helpers for working with Eagle libraries on disk, shared by the mods that
+// list libraries (recent-lib, es-query-library).
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { pathToFileURL } = require('url');
+const {EagleApi} = require('@eagle-cooler/utils');
+
+// Image files Eagle keeps in the library root when a custom library icon is set
+const LIBRARY_ICON_FILES = ['icon.png', 'icon.jpg', 'icon.jpeg', 'icon.webp'];
+
+// Items whose metadata is read at once while measuring a library, and libraries measured at once
+const SIZE_CONCURRENCY = 8;
+const SIZE_LIBRARY_CONCURRENCY = 2;
+
+// Library details by path. Each entry records the mtimes of metadata.json and
+// mtime.json it was read at, so it is reloaded as soon as Eagle writes either.
+const libraryMetadataCache = new Map();
+// Measured sizes by path, keyed the same way, and measurements waiting for a free slot
+const librarySizeCache = new Map();
+const sizeQueue = [];
+let activeSizeMeasurements = 0;
+
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    });
+    await Promise.all(workers);
+    return results;
+}
+
+// Paths are interpolated into list markup, and file names may contain <, & or quotes
+function escapeHtml(text) {
+    return String(text).replace(/[<>&"']/g, c => ({
+        '<': '&lt;',
+        '>': '&gt;',
+        '&': '&amp;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[c]);
+}
+
+function countFolders(folders = []) {
+    return folders.reduce((count, folder) => count + 1 + countFolders(folder.children), 0);
+}
+
+async function getMtime(filePath) {
+    try {
+        return (await fs.promises.stat(filePath)).mtimeMs;
+    } catch {
+        return 0;
+    }
+}
+
+// Changes whenever Eagle rewrites the folder tree or adds, edits or removes an item
+async function getLibraryStamp(libraryPath) {
+    const [metadataTime, itemsTime] = await Promise.all([
+        getMtime(path.join(libraryPath, 'metadata.json')),
+        getMtime(path.join(libraryPath, 'mtime.json'))
+    ]);
+    return `${metadataTime}:${itemsTime}`;
+}
+
+async function getLibraryIcon(libraryPath) {
+    for (const name of LIBRARY_ICON_FILES) {
+        const iconPath = path.join(libraryPath, name);
+        try {
+            await fs.promises.access(iconPath);
+            return pathToFileURL(iconPath).href;
+        } catch {
+            // Try the next name
+        }
+    }
+    return null;
+}
+
+// mtime.json holds one entry per item (plus "all"), so counting it avoids listing images/
+async function countItems(libraryPath) {
+    try {
+        const mtimes = JSON.parse(await fs.promises.readFile(path.join(libraryPath, 'mtime.json'), 'utf8'));
+        return Object.keys(mtimes).filter(key => key !== 'all').length;
+    } catch {
+        const itemDirs = await fs.promises.readdir(path.join(libraryPath, 'images')).catch(() => []);
+        return itemDirs.filter(name => name.endsWith('.info')).length;
+    }
+}
+
+async function loadLibraryMetadata(libraryPath) {
+    const details = { items: null, folders: null, size: null, modified: null, icon: null, error: null };
+
+    try {
+        const metadataPath = path.join(libraryPath, 'metadata.json');
+        const [metadataData, metadataStats] = await Promise.all([
+            fs.promises.readFile(metadataPath, 'utf8'),
+            fs.promises.stat(metadataPath)
+        ]);
+        const metadata = JSON.parse(metadataData);
+        details.folders = countFolders(metadata.folders);
+        details.modified = metadata.modificationTime || metadataStats.mtimeMs;
+    } catch (error) {
+        details.error = 'metadata.json unreadable';
+    }
+
+    [details.items, details.icon] = await Promise.all([
+        countItems(libraryPath),
+        getLibraryIcon(libraryPath)
+    ]);
+    return details;
+}
+
+// Cheap details only: two stats when the cached copy is still current
+async function getLibraryMetadata(libraryPath) {
+    const stamp = await getLibraryStamp(libraryPath);
+    const cached = libraryMetadataCache.get(libraryPath);
+    if (cached && cached.stamp === stamp) {
+        return cached.details;
+    }
+
+    const details = loadLibraryMetadata(libraryPath);
+    libraryMetadataCache.set(libraryPath, { stamp, details });
+    return details;
+}
+
+// Total bytes of the library's items, from the size Eagle records in each item's
+// metadata.json. This reads one small file per item, so getLibrarySize() caches the result
+// against getLibraryStamp() instead of measuring on every query.
+async function measureLibrarySize(libraryPath) {
+    const imagesDir = path.join(libraryPath, 'images');
+    const itemDirs = (await fs.promises.readdir(imagesDir).catch(() => []))
+        .filter(name => name.endsWith('.info'));
+    const sizes = await mapWithConcurrency(itemDirs, SIZE_CONCURRENCY, async name => {
+        try {
+            const item = JSON.parse(await fs.promises.readFile(path.join(imagesDir, name, 'metadata.json'), 'utf8'));
+            return Number(item.size) || 0;
+        } catch {
+            return 0;
+        }
+    });
+    return sizes.reduce((total, size) => total + size, 0);
+}
+
+function queueSizeMeasurement(libraryPath) {
+    return new Promise(resolve => {
+        const run = () => {
+            activeSizeMeasurements++;
+            measureLibrarySize(libraryPath).then(resolve).finally(() => {
+                activeSizeMeasurements--;
+                const next = sizeQueue.shift();
+                if (next) next();
+            });
+        };
+        if (activeSizeMeasurements < SIZE_LIBRARY_CONCURRENCY) {
+            run();
+        } else {
+            sizeQueue.push(run);
+        }
+    });
+}
+
+// Total size on disk, measured once per change to the library
+async function getLibrarySize(libraryPath) {
+    const stamp = await getLibraryStamp(libraryPath);
+    const cached = librarySizeCache.get(libraryPath);
+    if (cached && cached.stamp === stamp) {
+        return cached.size;
+    }
+
+    const size = queueSizeMeasurement(libraryPath);
+    librarySizeCache.set(libraryPath, { stamp, size });
+    return size;
+}
+
+function clearLibraryMetadataCache() {
+    libraryMetadataCache.clear();
+    librarySizeCache.clear();
+}
+
+function formatFileSize(bytes) {
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(2) + ' KB';
+    if (bytes < 1024 * 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(2) + ' MB';
+    return (bytes / (1024 * 1024 * 1024)).toFixed(2) + ' GB';
+}
+
+function formatLibraryMetadata(details) {
+    const parts = [`${details.items} items`];
+    if (details.size !== null) parts.push(formatFileSize(details.size));
+    if (details.folders !== null) parts.push(`${details.folders} folders`);
+    if (details.modified) parts.push(`modified ${new Date(details.modified).toLocaleString()}`);
+    if (details.error) parts.push(details.error);
+    return parts.join(' · ');
+}
+
+// Fill in item details only once they scroll into view, so long result lists stay fast.
+// The size needs every item's metadata, so it is added to the line once measured.
+function observeLibraryMetadata(listElement, itemSelector) {
+    const observer = new IntersectionObserver(entries => {
+        for (const entry of entries) {
+            if (!entry.isIntersecting) continue;
+            observer.unobserve(entry.target);
+
+            const item = entry.target;
+            const metaEl = item.querySelector('.library-meta');
+            const iconEl = item.querySelector('.library-icon');
+            const libraryPath = item.dataset.path;
+            getLibraryMetadata(libraryPath).then(details => {
+                metaEl.textContent = formatLibraryMetadata(details);
+                if (details.icon) {
+                    iconEl.src = details.icon;
+                    iconEl.classList.remove('hidden');
+                }
+                if (details.error) return;
+                return getLibrarySize(libraryPath).then(size => {
+                    metaEl.textContent = formatLibraryMetadata({ ...details, size });
+                });
+            });
+        }
+    });
+
+    listElement.querySelectorAll(itemSelector).forEach(item => observer.observe(item));
+    return observer;
+}
+
+// Scaffold the files Eagle expects in a fresh, empty library
+async function createLibrary(libraryPath) {
+    if (!libraryPath.endsWith('.library')) {
+        libraryPath += '.library';
+    }
+
+    // Fails with EEXIST rather than scaffolding over an existing folder
+    await fs.promises.mkdir(libraryPath);
+    await fs.promises.mkdir(path.join(libraryPath, 'images'));
+    await fs.promises.mkdir(path.join(libraryPath, 'backup'));
+
+    const now = Date.now();
+    const files = {
+        'metadata.json': {
+            folders: [],
+            smartFolders: [],
+            quickAccess: [],
+            tagsGroups: [],
+            modificationTime: now
+        },
+        'tags.json': { historyTags: [], starredTags: [] },
+        'mtime.json': { all: 0 },
+        'actions.json': [],
+        'saved-filters.json': []
+    };
+    for (const [name, content] of Object.entries(files)) {
+        await fs.promises.writeFile(path.join(libraryPath, name), JSON.stringify(content, null, 2));
+    }
+
+    return libraryPath;
+}
+
+// Ask where to create a library, create it, and offer to open it through `openLibrary`.
+// Resolves with the new library's path, or null when cancelled or failed.
+async function promptCreateLibrary(directory, openLibrary) {
+    const result = await eagle.dialog.showSaveDialog({
+        title: 'Create New Library',
+        defaultPath: path.join(directory, 'New Library.library'),
+        buttonLabel: 'Create'
+    });
+    if (result.canceled || !result.filePath) return null;
+
+    try {
+        const libraryPath = await createLibrary(result.filePath);
+        const { response } = await eagle.dialog.showMessageBox({
+            type: 'info',
+            message: `Created ${path.basename(libraryPath)}`,
+            buttons: ['Open Library', 'Close']
+        });
+        if (response === 0) {
+            await openLibrary(libraryPath);
+        }
+        return libraryPath;
+    } catch (error) {
+        eagle.dialog.showMessageBox({
+            type: 'error',
+            message: 'Failed to create library: ' + error.message
+        });
+        return null;
+    }
+}
+
+const SWITCH_TIMEOUT = 15 * 1000; // 15 seconds
+const SWITCH_POLL_INTERVAL = 500;
+const SWITCH_HISTORY_LIMIT = 50;
+// One history for every mod, so Back in one goes to a library opened from the other
+const SWITCH_HISTORY_FILE = path.join(os.homedir(), '.eaglecooler', 'shared', 'switch-history.json');
+
+function normalizeLibraryPath(libraryPath) {
+    const resolved = path.resolve(libraryPath).replace(/[\\/]+$/, '');
+    // Windows and macOS volumes are case-insensitive by default
+    return process.platform === 'linux' ? resolved : resolved.toLowerCase();
+}
+
+async function getActiveLibraryPath() {
+    const info = await EagleApi.library.info();
+    return info && info.library ? info.library.path : null;
+}
+
+// `library/switch` answers before Eagle has finished opening the library, so poll
+// `library/info` until it reports the requested path
+async function waitForActiveLibrary(libraryPath, timeout = SWITCH_TIMEOUT) {
+    const expected = normalizeLibraryPath(libraryPath);
+    const deadline = Date.now() + timeout;
+    let active = null;
+
+    while (Date.now() < deadline) {
+        try {
+            active = await getActiveLibraryPath();
+            if (active && normalizeLibraryPath(active) === expected) return;
+        } catch {
+            // Eagle's API is briefly unavailable while a library loads
+        }
+        await new Promise(resolve => setTimeout(resolve, SWITCH_POLL_INTERVAL));
+    }
+
+    throw new Error(`Eagle did not open ${path.basename(libraryPath)} within ${timeout / 1000}s` +
+        (active ? ` (still showing ${path.basename(active)})` : ''));
+}
+
+// Back/forward stacks of the libraries the user switched between. The file is the
+// source of truth: every change re-reads it first, since another mod may have switched since.
+class LibrarySwitchHistory {
+    constructor(historyFile = SWITCH_HISTORY_FILE) {
+        this.historyFile = historyFile;
+        this.back = [];
+        this.forward = [];
+    }
+
+    async load() {
+        try {
+            const history = JSON.parse(await fs.promises.readFile(this.historyFile, 'utf8'));
+            this.back = Array.isArray(history.back) ? history.back : [];
+            this.forward = Array.isArray(history.forward) ? history.forward : [];
+        } catch {
+            // No switches recorded yet
+            this.back = [];
+            this.forward = [];
+        }
+    }
+
+    async save() {
+        try {
+            await fs.promises.mkdir(path.dirname(this.historyFile), { recursive: true });
+            await fs.promises.writeFile(this.historyFile, JSON.stringify({ back: this.back, forward: this.forward }, null, 2));
+        } catch (error) {
+            console.error('Failed to save library switch history:', error);
+        }
+    }
+
+    async record(previousPath) {
+        await this.load();
+        this.back.push(previousPath);
+        if (this.back.length > SWITCH_HISTORY_LIMIT) {
+            this.back.shift();
+        }
+        this.forward = [];
+        await this.save();
+    }
+
+    peek(direction) {
+        const stack = this[direction];
+        return stack.length > 0 ? stack[stack.length - 1] : null;
+    }
+}
+
+const switchHistory = new LibrarySwitchHistory();
+
+// Resolves once Eagle reports the library as open; rejects with a readable error otherwise
+async function switchLibrary(libraryPath, { recordHistory = true } = {}) {
+    try {
+        const previous = await getActiveLibraryPath().catch(() => null);
+        await EagleApi.library.switch(libraryPath);
+        await waitForActiveLibrary(libraryPath);
+
+        if (recordHistory && previous && normalizeLibraryPath(previous) !== normalizeLibraryPath(libraryPath)) {
+            await switchHistory.record(previous);
+        }
+    } catch (error) {
+        console.error('Failed to switch library:', error);
+        throw error;
+    }
+}
+
+// Step through the switch history; `direction` is 'back' or 'forward'
+async function switchHistoryStep(direction) {
+    await switchHistory.load();
+    const target = switchHistory.peek(direction);
+    if (!target) return null;
+
+    const current = await getActiveLibraryPath().catch(() => null);
+    try {
+        await switchLibrary(target, { recordHistory: false });
+    } catch (error) {
+        // Drop the entry that failed (usually a moved or deleted library) so the
+        // button doesn't stay stuck on it, then let the caller report the error
+        await switchHistory.load();
+        if (switchHistory.peek(direction) === target) {
+            switchHistory[direction].pop();
+            await switchHistory.save();
+        }
+        throw error;
+    }
+    await switchHistory.load();
+    switchHistory[direction].pop();
+    if (current) {
+        switchHistory[direction === 'back' ? 'forward' : 'back'].push(current);
+    }
+    await switchHistory.save();
+    return target;
+}
+
+module.exports = {
+    clearLibraryMetadataCache,
+    createLibrary,
+    escapeHtml,
+    formatFileSize,
+    formatLibraryMetadata,
+    getLibraryMetadata,
+    getLibrarySize,
+    getLibraryStamp,
+    mapWithConcurrency,
+    observeLibraryMetadata,
+    promptCreateLibrary,
+    switchHistory,
+    switchHistoryStep,
+    switchLibrary
+};
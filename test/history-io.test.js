@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, parseRemapRules, remapPath, toCsv } = require('../mods/recent-lib/history-io');
+
+test('toCsv and parseCsv round-trip quotes, commas and line breaks', () => {
+    const rows = [
+        { path: 'C:\\Libraries\\Work.library', alias: 'Work, "main"', color: 'red', pinned: true },
+        { path: '/Volumes/Design/Moods.library', alias: 'Line one\nline two', color: '', pinned: false }
+    ];
+    const csv = toCsv(rows);
+
+    assert.strictEqual(csv.split('\n')[0], 'path,alias,color,pinned');
+    assert.deepStrictEqual(parseCsv(csv), rows.map(row => ({ ...row, pinned: String(row.pinned) })));
+});
+
+test('parseCsv accepts CRLF, blank lines and missing cells', () => {
+    assert.deepStrictEqual(parseCsv('path,alias\r\n\r\n/a.library\r\n/b.library,B\r\n'), [
+        { path: '/a.library', alias: '' },
+        { path: '/b.library', alias: 'B' }
+    ]);
+    assert.throws(() => parseCsv('alias\nWork'), /CSV needs a "path" column/);
+});
+
+test('parseRemapRules skips comments and rejects lines without =>', () => {
+    assert.deepStrictEqual(parseRemapRules('# moved drives\nZ:\\Design => /Volumes/Design\n\n/old => /new\n'), [
+        { from: 'Z:\\Design', to: '/Volumes/Design' },
+        { from: '/old', to: '/new' }
+    ]);
+    assert.throws(() => parseRemapRules('Z:\\Design -> /Volumes/Design'), /Invalid remap rule/);
+});
+
+test('remapPath uses the longest matching prefix and the target separators', () => {
+    const rules = parseRemapRules('Z:\\ => /Volumes/Z\nZ:\\Design => /Volumes/Design\n/Users/me => C:\\Users\\me');
+
+    assert.strictEqual(remapPath('z:\\Design\\Moods.library', rules), '/Volumes/Design/Moods.library');
+    assert.strictEqual(remapPath('Z:\\Other\\A.library', rules), '/Volumes/Z/Other/A.library');
+    assert.strictEqual(remapPath('/Users/me/Pics/B.library', rules), 'C:\\Users\\me\\Pics\\B.library');
+    assert.strictEqual(remapPath('/Users/meg/C.library', rules), '/Users/meg/C.library');
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fuzzyScore, getDrive, parseLibraryQuery } = require('../mods/es-query-library/query');
+
+test('parseLibraryQuery splits terms, filters and sort', () => {
+    const query = parseLibraryQuery('Mood "Brand Book" path:Design size:>2GB items:<=100 sort:-modified');
+
+    assert.deepStrictEqual(query.terms, ['mood', 'brand book']);
+    assert.deepStrictEqual(query.filters, [
+        { key: 'path', value: 'design' },
+        { key: 'size', op: '>', operand: 2 * 1024 ** 3 },
+        { key: 'items', op: '<=', operand: 100 }
+    ]);
+    assert.deepStrictEqual(query.sort, { field: 'modified', descending: true });
+});
+
+test('parseLibraryQuery reads ages and dates for modified:', () => {
+    const [age, date] = parseLibraryQuery('modified:<30d modified:>=2024-01-31').filters;
+
+    assert.deepStrictEqual(age, { key: 'modified', op: '<', operand: { age: 30 * 86400 * 1000 } });
+    assert.deepStrictEqual(date, { key: 'modified', op: '>=', operand: { time: Date.parse('2024-01-31') } });
+});
+
+test('parseLibraryQuery explains what it can\'t parse', () => {
+    assert.throws(() => parseLibraryQuery('colour:red'), /Unknown filter "colour:"/);
+    assert.throws(() => parseLibraryQuery('size:'), /Missing value for size:/);
+    assert.throws(() => parseLibraryQuery('size:>lots'), /Invalid value "lots" for size:/);
+    assert.throws(() => parseLibraryQuery('sort:color'), /Cannot sort by "color"/);
+    assert.throws(() => parseLibraryQuery('"unterminated'), /Unterminated quote at position 1/);
+});
+
+test('fuzzyScore prefers prefixes and substrings over scattered matches', () => {
+    assert.ok(fuzzyScore('mood', 'moodboard') > fuzzyScore('mood', 'my moodboard'));
+    assert.ok(fuzzyScore('mood', 'my moodboard') > fuzzyScore('mbd', 'moodboard'));
+    assert.strictEqual(fuzzyScore('xyz', 'moodboard'), 0);
+});
+
+test('getDrive names the volume a library is on', () => {
+    assert.strictEqual(getDrive('D:\\Libraries\\Work.library'), 'd');
+    assert.strictEqual(getDrive('/Volumes/Design/Work.library'), 'design');
+    assert.strictEqual(getDrive('/home/me/Work.library'), '/');
+});
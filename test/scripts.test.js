@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseParamValue, parseScriptHeader } = require('../mods/python-env/scripts');
+
+test('parseScriptHeader reads title, description and typed parameters', () => {
+    const header = parseScriptHeader([
+        '#!/usr/bin/env python3',
+        '# title: Tag large images',
+        '# description: Tags every selected image wider than a threshold',
+        '# param min_width: int = 1920 | Minimum width in pixels',
+        '# param ratio: float = 1.5',
+        '# param dry_run: bool = yes',
+        '# param mode: choice[copy, move] = move',
+        '# param note: str = "hello"',
+        'import eagle',
+        '# param ignored: int = 1'
+    ].join('\n'));
+
+    assert.strictEqual(header.title, 'Tag large images');
+    assert.strictEqual(header.description, 'Tags every selected image wider than a threshold');
+    assert.deepStrictEqual(header.errors, []);
+    assert.deepStrictEqual(header.params.map(param => [param.name, param.default]), [
+        ['min_width', 1920],
+        ['ratio', 1.5],
+        ['dry_run', true],
+        ['mode', 'move'],
+        ['note', 'hello']
+    ]);
+    assert.strictEqual(header.params[0].label, 'Minimum width in pixels');
+    assert.deepStrictEqual(header.params[3].options, ['copy', 'move']);
+});
+
+test('parseScriptHeader reports bad parameters without dropping the rest', () => {
+    const header = parseScriptHeader([
+        '# param width: int = 12px',
+        '# param mode: choice[a, b] = c',
+        '# param empty: choice[]',
+        '# param odd: list = 1',
+        '# param ok: int = 3'
+    ].join('\n'));
+
+    assert.strictEqual(header.errors.length, 4);
+    assert.match(header.errors[0], /^Parameter width: "12px" is not a valid int/);
+    assert.match(header.errors[1], /^Parameter mode: "c" is not one of a, b/);
+    assert.deepStrictEqual(header.params.map(param => [param.name, param.default]), [
+        ['width', null],
+        ['mode', 'a'],
+        ['ok', 3]
+    ]);
+});
+
+test('parseParamValue only accepts whole numbers', () => {
+    assert.strictEqual(parseParamValue('int', ' -42 '), -42);
+    assert.strictEqual(parseParamValue('float', '.5'), 0.5);
+    assert.strictEqual(parseParamValue('float', '1e3'), 1000);
+    assert.strictEqual(parseParamValue('int', ''), null);
+    for (const [type, value] of [['int', '12px'], ['int', '1.5'], ['float', '1e'], ['float', 'Infinity'], ['float', '0x10']]) {
+        assert.throws(() => parseParamValue(type, value), /is not a valid/, `${type} ${value}`);
+    }
+});
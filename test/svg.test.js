@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { cleanSvg, getSvgSize, minifySvg, svgToDataUri } = require('../mods/img-to-base64/svg');
+
+test('cleanSvg strips editor leftovers and keeps what is drawn', () => {
+    const svg = `<?xml version="1.0"?>
+<!-- Generator: Inkscape -->
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" inkscape:version="1.3">
+  <metadata><rdf:RDF/></metadata>
+  <sodipodi:namedview id="view"/>
+  <rect inkscape:label="box" width="10" height="10"/>
+</svg>`;
+    const cleaned = minifySvg(cleanSvg(svg));
+
+    assert.strictEqual(cleaned, '<svg xmlns="http://www.w3.org/2000/svg"><rect width="10" height="10"/></svg>');
+});
+
+test('cleanSvg drops unused defs, including ones only used by removed defs', () => {
+    const svg = '<svg><defs>' +
+        '<linearGradient id="base"><stop/></linearGradient>' +
+        '<linearGradient id="unused" href="#base"/>' +
+        '<clipPath id="clip"><rect/></clipPath>' +
+        '</defs><g clip-path="url(#clip)"/></svg>';
+
+    assert.strictEqual(cleanSvg(svg), '<svg><defs><clipPath id="clip"><rect/></clipPath></defs><g clip-path="url(#clip)"/></svg>');
+    assert.strictEqual(cleanSvg('<svg><defs><path id="p"/></defs></svg>'), '<svg></svg>');
+});
+
+test('getSvgSize falls back to the viewBox and keeps its aspect ratio', () => {
+    assert.deepStrictEqual(getSvgSize('<svg width="32px" height="16">'), { width: 32, height: 16 });
+    assert.deepStrictEqual(getSvgSize('<svg viewBox="0 0 100 50" width="20">'), { width: 20, height: 10 });
+    assert.strictEqual(getSvgSize('<svg width="100%">'), null);
+});
+
+test('svgToDataUri only escapes what a url() needs', () => {
+    assert.strictEqual(svgToDataUri('<svg fill="#fff">é</svg>'),
+        'data:image/svg+xml;charset=utf-8,%3Csvg fill=\'%23fff\'%3E%C3%A9%3C/svg%3E');
+});
@@ -0,0 +1,146 @@
+"""Tests for the python-env eagle bridge against a stub of Eagle's web API."""
+
+import json
+import os
+import sys
+import tempfile
+import threading
+import unittest
+import urllib.parse
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+
+sys.path.insert(0, os.path.join(os.path.dirname(__file__), '..', 'mods', 'python-env', 'python'))
+
+import eagle  # noqa: E402
+
+TOKEN = 'stub-token'
+
+
+class StubEagle(BaseHTTPRequestHandler):
+    """Answers like Eagle and records every request it gets."""
+
+    requests = []
+
+    def do_GET(self):
+        self._handle(None)
+
+    def do_POST(self):
+        length = int(self.headers.get('Content-Length') or 0)
+        self._handle(json.loads(self.rfile.read(length)))
+
+    def _handle(self, body):
+        url = urllib.parse.urlparse(self.path)
+        query = dict(urllib.parse.parse_qsl(url.query))
+        StubEagle.requests.append((self.command, url.path, query, body))
+
+        if url.path == '/api/application/info':
+            self._reply({'status': 'success', 'data': {'preferences': {'developer': {'apiToken': TOKEN}}}})
+        elif url.path == '/api/broken':
+            self.send_error(500)
+        elif query.get('token') != TOKEN:
+            self._reply({'status': 'error', 'message': 'bad token'})
+        elif url.path == '/api/item/list':
+            self._reply({'status': 'success', 'data': [{'id': 'A', 'query': query}]})
+        elif url.path == '/api/item/update':
+            self._reply({'status': 'success', 'data': body})
+        else:
+            self._reply({'status': 'error', 'message': 'unknown endpoint'})
+
+    def _reply(self, payload):
+        data = json.dumps(payload).encode('utf-8')
+        self.send_response(200)
+        self.send_header('Content-Type', 'application/json')
+        self.send_header('Content-Length', str(len(data)))
+        self.end_headers()
+        self.wfile.write(data)
+
+    def log_message(self, *args):
+        pass
+
+
+class ClientTest(unittest.TestCase):
+    @classmethod
+    def setUpClass(cls):
+        cls.server = ThreadingHTTPServer(('127.0.0.1', 0), StubEagle)
+        cls.thread = threading.Thread(target=cls.server.serve_forever, daemon=True)
+        cls.thread.start()
+        cls.base_url = 'http://127.0.0.1:%d' % cls.server.server_address[1]
+
+    @classmethod
+    def tearDownClass(cls):
+        cls.server.shutdown()
+        cls.server.server_close()
+
+    def setUp(self):
+        StubEagle.requests = []
+        self.client = eagle.Client(self.base_url, timeout=5)
+
+    def test_discovers_the_token_once(self):
+        self.client.item_list(limit=5)
+        self.client.item_list(limit=5)
+        paths = [path for _, path, _, _ in StubEagle.requests]
+        self.assertEqual(paths, ['/api/application/info', '/api/item/list', '/api/item/list'])
+
+    def test_joins_list_filters_and_drops_none(self):
+        items = self.client.item_list(tags=['red', 'blue'], folders=None, limit=5)
+        self.assertEqual(items[0]['query'], {'tags': 'red,blue', 'limit': '5', 'token': TOKEN})
+
+    def test_posts_json_without_none_fields(self):
+        data = self.client.item_update('A', tags=['done'], annotation=None)
+        self.assertEqual(data, {'id': 'A', 'tags': ['done']})
+        method, _, query, _ = StubEagle.requests[-1]
+        self.assertEqual((method, query), ('POST', {'token': TOKEN}))
+
+    def test_uses_a_given_token(self):
+        eagle.Client(self.base_url, token=TOKEN).item_list()
+        self.assertEqual([path for _, path, _, _ in StubEagle.requests], ['/api/item/list'])
+
+    def test_raises_on_error_replies(self):
+        with self.assertRaisesRegex(eagle.EagleError, 'bad token'):
+            eagle.Client(self.base_url, token='wrong').item_list()
+        with self.assertRaisesRegex(eagle.EagleError, 'HTTP 500'):
+            self.client.get('broken')
+
+    def test_raises_when_eagle_is_not_running(self):
+        # Take a free port and release it, so nothing is listening there
+        closed = ThreadingHTTPServer(('127.0.0.1', 0), StubEagle)
+        port = closed.server_address[1]
+        closed.server_close()
+        with self.assertRaisesRegex(eagle.EagleError, 'Cannot reach Eagle'):
+            eagle.Client('http://127.0.0.1:%d' % port, timeout=2).application_info()
+
+
+class ContextTest(unittest.TestCase):
+    def setUp(self):
+        self.dir = tempfile.TemporaryDirectory()
+        self.context_file = os.path.join(self.dir.name, 'context.json')
+        os.environ['EAGLE_CONTEXT_FILE'] = self.context_file
+
+    def tearDown(self):
+        del os.environ['EAGLE_CONTEXT_FILE']
+        os.environ.pop('EAGLE_SCRIPT_PARAMS', None)
+        self.dir.cleanup()
+
+    def test_reads_the_selection_on_every_call(self):
+        self.assertEqual(eagle.selected(), [])
+        with open(self.context_file, 'w', encoding='utf-8') as f:
+            json.dump({'libraryPath': '/libs/Work.library',
+                       'selected': [{'id': 'A', 'name': 'cat', 'ext': 'png', 'filePath': '/libs/cat.png', 'tags': ['pet']}]}, f)
+        [item] = eagle.selected()
+        self.assertEqual((item.id, item.path, item.tags), ('A', '/libs/cat.png', ['pet']))
+        self.assertEqual(eagle.library_path(), '/libs/Work.library')
+
+    def test_reports_an_unreadable_context(self):
+        with open(self.context_file, 'w', encoding='utf-8') as f:
+            f.write('{not json')
+        with self.assertRaises(eagle.EagleError):
+            eagle.context()
+
+    def test_params_default_to_empty(self):
+        self.assertEqual(eagle.params(), {})
+        os.environ['EAGLE_SCRIPT_PARAMS'] = '{"min_width": 1920}'
+        self.assertEqual(eagle.params(), {'min_width': 1920})
+
+
+if __name__ == '__main__':
+    unittest.main()